@@ -4,10 +4,12 @@
 
 /**
  * Generate authorization URL for the customer
+ * @param {string} shop - The shop domain the conversation belongs to
  * @param {string} conversationId - The conversation ID to track the auth flow
+ * @param {string} shopId - The shop ID
  * @returns {Promise<Object>} - Object containing the auth URL and conversation ID
  */
-export async function generateAuthUrl(conversationId, shopId) {
+export async function generateAuthUrl(shop, conversationId, shopId) {
   const { storeCodeVerifier } = await import('./db.server');
 
   // Generate authorization URL for the customer
@@ -18,23 +20,25 @@ export async function generateAuthUrl(conversationId, shopId) {
   // Use the actual app URL for redirect
   const redirectUri = process.env.REDIRECT_URL;
 
-  // Include the conversation ID and shop ID in the state parameter for tracking
-  const state = `${conversationId}-${shopId}`;
+  // The state is an opaque random value, the conversation and shop it belongs to are only
+  // stored server side so a state can't be forged to bind a login to another conversation
+  const state = generateState();
 
   // Generate code verifier and challenge
   const verifier = generateCodeVerifier();
   const challenge = await generateCodeChallenge(verifier);
 
-  // Store the code verifier in the database
+  // Store the code verifier in the database, the callback can't complete the flow without it
   try {
-    await storeCodeVerifier(state, verifier);
+    await storeCodeVerifier(shop, state, verifier, { conversationId, shopId });
   } catch (error) {
     console.error('Failed to store code verifier:', error);
+    throw error;
   }
 
   // Set code_challenge and code_challenge_method parameters
   const codeChallengeMethod = "S256";
-  const baseAuthUrl = await getBaseAuthUrl(conversationId, shopId);
+  const baseAuthUrl = await getBaseAuthUrl(shop, conversationId);
 
   if (!baseAuthUrl) {
     throw new Error('Base auth URL not found');
@@ -50,15 +54,124 @@ export async function generateAuthUrl(conversationId, shopId) {
   };
 }
 
+/**
+ * Refresh a customer access token with its refresh token
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID the token belongs to
+ * @param {Object} token - The stored customer token, with its `refreshToken`
+ * @returns {Promise<Object|null>} - The stored refreshed token, or null if the refresh failed
+ */
+export async function refreshCustomerToken(shop, conversationId, token) {
+  const { storeCustomerToken } = await import('./db.server');
+
+  try {
+    const metadata = await getAuthServerMetadata(shop, conversationId);
+
+    if (!metadata?.token_endpoint) {
+      throw new Error('Token endpoint not found');
+    }
+
+    const response = await fetch(metadata.token_endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: process.env.SHOPIFY_API_KEY,
+        refresh_token: token.refreshToken
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token refresh failed: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+    const expiresAt = new Date();
+    expiresAt.setSeconds(expiresAt.getSeconds() + data.expires_in);
+
+    // The authorization server may rotate the refresh token
+    return await storeCustomerToken(shop, conversationId, data.access_token, expiresAt, {
+      refreshToken: data.refresh_token || token.refreshToken,
+      customerId: token.customerId,
+      identityId: token.identityId
+    });
+  } catch (error) {
+    console.error('Error refreshing customer token:', error);
+    return null;
+  }
+}
+
+/**
+ * Revoke a customer token at the authorization server, if it advertises a revocation endpoint
+ * The refresh token is revoked first, revoking it also ends its access tokens on most servers
+ * @param {string} shop - The shop domain
+ * @param {Object} token - The stored customer token, with its `conversationId`, `accessToken` and `refreshToken`
+ * @returns {Promise<boolean>} - True if every token was revoked, false if revocation isn't supported or failed
+ */
+export async function revokeCustomerToken(shop, token) {
+  try {
+    const metadata = await getAuthServerMetadata(shop, token.conversationId);
+
+    if (!metadata?.revocation_endpoint) {
+      console.log('No revocation endpoint advertised, only deleting the customer token');
+      return false;
+    }
+
+    const tokens = [
+      [token.refreshToken, "refresh_token"],
+      [token.accessToken, "access_token"]
+    ].filter(([value]) => value);
+
+    for (const [value, tokenTypeHint] of tokens) {
+      const response = await fetch(metadata.revocation_endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: new URLSearchParams({
+          token: value,
+          token_type_hint: tokenTypeHint,
+          client_id: process.env.SHOPIFY_API_KEY
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Token revocation failed: ${response.status} ${errorText}`);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error revoking customer token:', error);
+    return false;
+  }
+}
+
 /**
  * Get the base auth URL from the customer MCP endpoint
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID to track the auth flow
- * @param {string} shopId - The shop ID to track the auth flow
  * @returns {Promise<string|null>} - The base auth URL or null if not found
  */
-async function getBaseAuthUrl(conversationId, shopId) {
+async function getBaseAuthUrl(shop, conversationId) {
+  const metadata = await getAuthServerMetadata(shop, conversationId);
+  return metadata?.authorization_endpoint || null;
+}
+
+/**
+ * Discover the customer account authorization server of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The OAuth authorization server metadata, with `authorization_endpoint`,
+ *   `token_endpoint` and optionally `revocation_endpoint`, or null if not found
+ */
+async function getAuthServerMetadata(shop, conversationId) {
   const { getCustomerAccountUrl } = await import('./db.server');
-  const customerAccountUrl = await getCustomerAccountUrl(conversationId);
+  const customerAccountUrl = await getCustomerAccountUrl(shop, conversationId);
 
   if (!customerAccountUrl) {
     console.error('Customer account URL not found for conversation:', conversationId);
@@ -69,13 +182,12 @@ async function getBaseAuthUrl(conversationId, shopId) {
   const response = await fetch(endpoint);
 
   if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
+    console.error('Failed to fetch authorization server metadata from:', endpoint, response.status);
 
     return null;
   }
 
-  const data = await response.json();
-  return data.authorization_endpoint;
+  return response.json();
 }
 
 /**
@@ -89,6 +201,16 @@ export function generateCodeVerifier() {
   return base64UrlEncode(randomString);
 }
 
+/**
+ * Generate an opaque state parameter for an authorization request
+ * @returns {string} - The generated state
+ */
+export function generateState() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(convertBufferToString(array));
+}
+
 /**
  * Generate a code challenge from a verifier
  * @param {string} verifier - The code verifier
@@ -1,4 +1,7 @@
+import crypto from "crypto";
 import { PrismaClient } from "@prisma/client";
+// The .js extension lets the node scripts in scripts/ import this module
+import { tokenEncryption } from "./services/encryption.server.js";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -12,11 +15,15 @@ export default prisma;
 
 /**
  * Store a code verifier for PKCE authentication
+ * @param {string} shop - The shop domain the OAuth flow was started for
  * @param {string} state - The state parameter used in OAuth flow
  * @param {string} verifier - The code verifier to store
+ * @param {Object} [flow] - What the OAuth flow was started for
+ * @param {string} [flow.conversationId] - The conversation the customer logs in for
+ * @param {string} [flow.shopId] - The shop ID
  * @returns {Promise<Object>} - The saved code verifier object
  */
-export async function storeCodeVerifier(state, verifier) {
+export async function storeCodeVerifier(shop, state, verifier, { conversationId = "", shopId = null } = {}) {
   // Calculate expiration date (10 minutes from now)
   const expiresAt = new Date();
   expiresAt.setMinutes(expiresAt.getMinutes() + 10);
@@ -25,6 +32,9 @@ export async function storeCodeVerifier(state, verifier) {
     return await prisma.codeVerifier.create({
       data: {
         id: `cv_${Date.now()}`,
+        shop,
+        conversationId,
+        shopId,
         state,
         verifier,
         expiresAt
@@ -38,6 +48,9 @@ export async function storeCodeVerifier(state, verifier) {
 
 /**
  * Get a code verifier by state parameter
+ * The OAuth callback is not signed by the App Proxy, so the state is the only key
+ * and the returned record carries the shop and conversation the flow belongs to.
+ * A state can only be used once and only until it expires
  * @param {string} state - The state parameter used in OAuth flow
  * @returns {Promise<Object|null>} - The code verifier object or null if not found
  */
@@ -68,43 +81,83 @@ export async function getCodeVerifier(state) {
   }
 }
 
+/**
+ * Decrypt the access and refresh token of a customer token row
+ * Rows without a key id were stored before tokens were encrypted and are returned as is
+ * @param {Object|null} token - The customer token row
+ * @returns {Object|null} - The customer token with plaintext `accessToken` and `refreshToken`
+ */
+function decryptCustomerToken(token) {
+  if (!token || !token.keyId) {
+    return token;
+  }
+
+  return {
+    ...token,
+    accessToken: tokenEncryption.decrypt(token.accessToken, token.keyId),
+    refreshToken: token.refreshToken ? tokenEncryption.decrypt(token.refreshToken, token.keyId) : null
+  };
+}
+
 /**
  * Store a customer access token in the database
+ * The access and refresh tokens are encrypted with the active TOKEN_ENCRYPTION_KEYS key
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID to associate with the token
  * @param {string} accessToken - The access token to store
  * @param {Date} expiresAt - When the token expires
- * @returns {Promise<Object>} - The saved customer token
+ * @param {Object} [options] - Optional token data
+ * @param {string|null} [options.refreshToken] - The refresh token issued with the access token
+ * @param {string|null} [options.customerId] - The storefront customer the token was issued to, if known
+ * @param {string|null} [options.identityId] - The customer identity the token belongs to, if known
+ * @returns {Promise<Object>} - The saved customer token, decrypted
  */
-export async function storeCustomerToken(conversationId, accessToken, expiresAt) {
+export async function storeCustomerToken(shop, conversationId, accessToken, expiresAt, { refreshToken = null, customerId = null, identityId = null } = {}) {
   try {
-    // Check if a token already exists for this conversation
+    const encryptedAccessToken = tokenEncryption.encrypt(accessToken);
+    const encryptedRefreshToken = refreshToken ? tokenEncryption.encrypt(refreshToken).value : null;
+
+    // Check if a token already exists for this identity, or for this conversation
     const existingToken = await prisma.customerToken.findFirst({
-      where: { conversationId }
+      where: identityId ? { shop, identityId } : { shop, conversationId }
     });
 
     if (existingToken) {
       // Update existing token
-      return await prisma.customerToken.update({
+      const updatedToken = await prisma.customerToken.update({
         where: { id: existingToken.id },
         data: {
-          accessToken,
+          accessToken: encryptedAccessToken.value,
+          refreshToken: encryptedRefreshToken,
+          keyId: encryptedAccessToken.keyId,
           expiresAt,
+          ...(customerId ? { customerId } : {}),
+          ...(identityId ? { identityId } : {}),
           updatedAt: new Date()
         }
       });
+
+      return decryptCustomerToken(updatedToken);
     }
 
     // Create a new token record
-    return await prisma.customerToken.create({
+    const createdToken = await prisma.customerToken.create({
       data: {
         id: `ct_${Date.now()}`,
+        shop,
         conversationId,
-        accessToken,
+        customerId,
+        identityId,
+        accessToken: encryptedAccessToken.value,
+        refreshToken: encryptedRefreshToken,
+        keyId: encryptedAccessToken.keyId,
         expiresAt,
         createdAt: new Date(),
         updatedAt: new Date()
       }
     });
+
+    return decryptCustomerToken(createdToken);
   } catch (error) {
     console.error('Error storing customer token:', error);
     throw error;
@@ -113,42 +166,228 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
 
 /**
  * Get a customer access token by conversation ID
+ * Conversations linked to a customer identity also use the identity's token
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.includeExpired] - Also return an expired token, e.g. to refresh it
  * @returns {Promise<Object|null>} - The customer token or null if not found/expired
  */
-export async function getCustomerToken(conversationId) {
+export async function getCustomerToken(shop, conversationId, { includeExpired = false } = {}) {
   try {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, shop },
+      select: { identityId: true }
+    });
+
     const token = await prisma.customerToken.findFirst({
       where: {
-        conversationId,
-        expiresAt: {
-          gt: new Date() // Only return non-expired tokens
-        }
-      }
+        shop,
+        OR: [
+          { conversationId },
+          ...(conversation?.identityId ? [{ identityId: conversation.identityId }] : [])
+        ],
+        // Only return non-expired tokens unless asked otherwise
+        ...(includeExpired ? {} : { expiresAt: { gt: new Date() } })
+      },
+      orderBy: { updatedAt: 'desc' }
     });
 
-    return token;
+    return decryptCustomerToken(token);
   } catch (error) {
     console.error('Error retrieving customer token:', error);
     return null;
   }
 }
 
+/**
+ * Create or find the identity of a customer who logged in to the chat
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The numeric customer ID
+ * @returns {Promise<Object>} - The customer identity
+ */
+export async function upsertCustomerIdentity(shop, customerId) {
+  try {
+    return await prisma.customerIdentity.upsert({
+      where: { shop_customerId: { shop, customerId } },
+      update: { updatedAt: new Date() },
+      create: {
+        id: crypto.randomUUID(),
+        shop,
+        customerId
+      }
+    });
+  } catch (error) {
+    console.error('Error storing customer identity:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a customer identity of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} identityId - The customer identity ID
+ * @returns {Promise<Object|null>} - The customer identity, or null if it doesn't exist or belongs to another shop
+ */
+export async function getCustomerIdentity(shop, identityId) {
+  try {
+    return await prisma.customerIdentity.findFirst({
+      where: { id: identityId, shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving customer identity:', error);
+    return null;
+  }
+}
+
+/**
+ * Link a conversation to a customer identity so it uses the identity's token
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} identity - The customer identity
+ * @returns {Promise<number>} - Number of updated conversations, 0 if the conversation belongs to another shop
+ */
+export async function linkConversationToIdentity(shop, conversationId, identity) {
+  try {
+    const { count } = await prisma.conversation.updateMany({
+      where: { id: conversationId, shop },
+      data: { identityId: identity.id, customerId: identity.customerId }
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error linking conversation to customer identity:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find what signing a customer out of a conversation, or out of an identity, covers
+ * @param {string} shop - The shop domain
+ * @param {Object} params - What to sign out
+ * @param {string|null} [params.conversationId] - The conversation ID
+ * @param {string|null} [params.identityId] - The customer identity ID
+ * @returns {Promise<Object>} - The `identityIds` involved and the `where` filter of their customer tokens
+ */
+async function getSignOutScope(shop, { conversationId = null, identityId = null }) {
+  const conversation = conversationId
+    ? await prisma.conversation.findFirst({ where: { id: conversationId, shop }, select: { identityId: true } })
+    : null;
+  const identityIds = [...new Set([identityId, conversation?.identityId].filter(Boolean))];
+
+  return {
+    identityIds,
+    where: {
+      shop,
+      OR: [
+        ...(conversationId ? [{ conversationId }] : []),
+        { identityId: { in: identityIds } }
+      ]
+    }
+  };
+}
+
+/**
+ * Get the customer tokens signing out of a conversation or an identity removes
+ * @param {string} shop - The shop domain
+ * @param {Object} params - What to sign out
+ * @param {string|null} [params.conversationId] - The conversation ID
+ * @param {string|null} [params.identityId] - The customer identity ID
+ * @returns {Promise<Array>} - The decrypted customer tokens
+ */
+export async function getCustomerTokensToSignOut(shop, params) {
+  try {
+    const { where } = await getSignOutScope(shop, params);
+    const tokens = await prisma.customerToken.findMany({ where });
+
+    return tokens.map(decryptCustomerToken);
+  } catch (error) {
+    console.error('Error retrieving customer tokens to sign out:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete the customer tokens of a conversation and of the identity it's linked to,
+ * unlink the identity's conversations and invalidate the identity tokens issued so far
+ * @param {string} shop - The shop domain
+ * @param {Object} params - What to sign out
+ * @param {string|null} [params.conversationId] - The conversation ID
+ * @param {string|null} [params.identityId] - The customer identity ID
+ * @returns {Promise<Object>} - Number of deleted `customerTokens`, and the `conversationIds` that lost their token
+ */
+export async function deleteCustomerTokens(shop, params) {
+  try {
+    const { identityIds, where } = await getSignOutScope(shop, params);
+    const linkedConversations = await prisma.conversation.findMany({
+      where: { shop, identityId: { in: identityIds } },
+      select: { id: true }
+    });
+
+    const [customerTokens] = await prisma.$transaction([
+      prisma.customerToken.deleteMany({ where }),
+      prisma.conversation.updateMany({
+        where: { shop, identityId: { in: identityIds } },
+        data: { identityId: null }
+      }),
+      prisma.customerIdentity.updateMany({
+        where: { shop, id: { in: identityIds } },
+        data: { tokenVersion: { increment: 1 } }
+      })
+    ]);
+
+    return {
+      customerTokens: customerTokens.count,
+      conversationIds: [
+        ...new Set([params.conversationId, ...linkedConversations.map(conversation => conversation.id)].filter(Boolean))
+      ]
+    };
+  } catch (error) {
+    console.error('Error deleting customer tokens:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a conversation of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation, or null if it doesn't exist or belongs to another shop
+ */
+export async function getConversation(shop, conversationId) {
+  try {
+    return await prisma.conversation.findFirst({
+      where: { id: conversationId, shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
 /**
  * Create or update a conversation in the database
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
+ * @param {string|null} [customerId] - The logged in storefront customer, kept when omitted
  * @returns {Promise<Object>} - The created or updated conversation
+ * @throws {Error} If the conversation belongs to another shop
  */
-export async function createOrUpdateConversation(conversationId) {
+export async function createOrUpdateConversation(shop, conversationId, customerId = null) {
   try {
     const existingConversation = await prisma.conversation.findUnique({
       where: { id: conversationId }
     });
 
     if (existingConversation) {
+      if (existingConversation.shop !== shop) {
+        throw new Error(`Conversation ${conversationId} belongs to another shop`);
+      }
+
       return await prisma.conversation.update({
         where: { id: conversationId },
         data: {
+          ...(customerId ? { customerId } : {}),
           updatedAt: new Date()
         }
       });
@@ -156,7 +395,9 @@ export async function createOrUpdateConversation(conversationId) {
 
     return await prisma.conversation.create({
       data: {
-        id: conversationId
+        id: conversationId,
+        shop,
+        customerId
       }
     });
   } catch (error) {
@@ -167,15 +408,16 @@ export async function createOrUpdateConversation(conversationId) {
 
 /**
  * Save a message to the database
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
  * @param {string} role - The message role (user or assistant)
  * @param {string} content - The message content
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(shop, conversationId, role, content) {
   try {
     // Ensure the conversation exists
-    await createOrUpdateConversation(conversationId);
+    await createOrUpdateConversation(shop, conversationId);
 
     // Create the message
     return await prisma.message.create({
@@ -193,13 +435,17 @@ export async function saveMessage(conversationId, role, content) {
 
 /**
  * Get conversation history
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
- * @returns {Promise<Array>} - Array of messages in the conversation
+ * @returns {Promise<Array>} - Array of messages in the conversation, empty if it belongs to another shop
  */
-export async function getConversationHistory(conversationId) {
+export async function getConversationHistory(shop, conversationId) {
   try {
     const messages = await prisma.message.findMany({
-      where: { conversationId },
+      where: {
+        conversationId,
+        conversation: { shop }
+      },
       orderBy: { createdAt: 'asc' }
     });
 
@@ -212,19 +458,21 @@ export async function getConversationHistory(conversationId) {
 
 /**
  * Store customer account URL for a conversation
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
  * @param {string} url - The customer account URL
  * @returns {Promise<Object>} - The saved URL object
  */
-export async function storeCustomerAccountUrl(conversationId, url) {
+export async function storeCustomerAccountUrl(shop, conversationId, url) {
   try {
     return await prisma.customerAccountUrl.upsert({
-      where: { conversationId },
+      where: { shop_conversationId: { shop, conversationId } },
       update: {
         url,
         updatedAt: new Date()
       },
       create: {
+        shop,
         conversationId,
         url,
         updatedAt: new Date()
@@ -238,13 +486,14 @@ export async function storeCustomerAccountUrl(conversationId, url) {
 
 /**
  * Get customer account URL for a conversation
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
  * @returns {Promise<string|null>} - The customer account URL or null if not found
  */
-export async function getCustomerAccountUrl(conversationId) {
+export async function getCustomerAccountUrl(shop, conversationId) {
   try {
     const record = await prisma.customerAccountUrl.findUnique({
-      where: { conversationId }
+      where: { shop_conversationId: { shop, conversationId } }
     });
 
     return record?.url || null;
@@ -253,3 +502,759 @@ export async function getCustomerAccountUrl(conversationId) {
     return null;
   }
 }
+
+/**
+ * Get a cached search result
+ * @param {string} key - The cache key
+ * @returns {Promise<Object|null>} - The cache entry or null if not found/expired
+ */
+export async function getSearchCacheEntry(key) {
+  try {
+    return await prisma.searchCacheEntry.findFirst({
+      where: {
+        key,
+        expiresAt: {
+          gt: new Date()
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving search cache entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a search result in the cache table
+ * @param {string} key - The cache key
+ * @param {string} shop - The shop domain the result belongs to
+ * @param {string} value - The serialized search result
+ * @param {Date} expiresAt - When the entry expires
+ * @returns {Promise<Object>} - The saved cache entry
+ */
+export async function storeSearchCacheEntry(key, shop, value, expiresAt) {
+  try {
+    return await prisma.searchCacheEntry.upsert({
+      where: { key },
+      update: {
+        value,
+        expiresAt,
+        createdAt: new Date()
+      },
+      create: {
+        key,
+        shop,
+        value,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error storing search cache entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all cached search results for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<number>} - The number of deleted entries
+ */
+export async function deleteSearchCacheEntries(shop) {
+  try {
+    const { count } = await prisma.searchCacheEntry.deleteMany({
+      where: { shop }
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error deleting search cache entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove expired search cache entries and evict the oldest ones above the size limit
+ * @param {number} maxEntries - Maximum number of entries to keep
+ * @returns {Promise<number>} - The number of deleted entries
+ */
+export async function pruneSearchCacheEntries(maxEntries) {
+  try {
+    const expired = await prisma.searchCacheEntry.deleteMany({
+      where: {
+        expiresAt: {
+          lte: new Date()
+        }
+      }
+    });
+
+    const total = await prisma.searchCacheEntry.count();
+    if (total <= maxEntries) {
+      return expired.count;
+    }
+
+    const oldestEntries = await prisma.searchCacheEntry.findMany({
+      select: { key: true },
+      orderBy: { createdAt: 'asc' },
+      take: total - maxEntries
+    });
+
+    const evicted = await prisma.searchCacheEntry.deleteMany({
+      where: {
+        key: {
+          in: oldestEntries.map(entry => entry.key)
+        }
+      }
+    });
+
+    return expired.count + evicted.count;
+  } catch (error) {
+    console.error('Error pruning search cache entries:', error);
+    return 0;
+  }
+}
+
+/**
+ * Count a search for a query, used to suggest popular queries
+ * @param {string} shop - The shop domain
+ * @param {string} query - The normalized search query
+ * @returns {Promise<Object|null>} - The updated query stat or null on error
+ */
+export async function recordSearchQuery(shop, query) {
+  try {
+    return await prisma.searchQueryStat.upsert({
+      where: {
+        shop_query: { shop, query }
+      },
+      update: {
+        count: { increment: 1 },
+        lastSearchedAt: new Date()
+      },
+      create: {
+        shop,
+        query
+      }
+    });
+  } catch (error) {
+    console.error('Error recording search query:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the most searched queries for a shop that start with a prefix
+ * @param {string} shop - The shop domain
+ * @param {string} prefix - The normalized query prefix
+ * @param {number} limit - Maximum number of queries to return
+ * @param {number} minCount - Minimum number of searches for a query to count as popular
+ * @returns {Promise<Array>} - Query stats ordered by search count
+ */
+export async function getPopularSearchQueries(shop, prefix, limit, minCount) {
+  try {
+    return await prisma.searchQueryStat.findMany({
+      where: {
+        shop,
+        query: {
+          startsWith: prefix
+        },
+        count: {
+          gte: minCount
+        }
+      },
+      orderBy: [
+        { count: 'desc' },
+        { lastSearchedAt: 'desc' }
+      ],
+      take: limit
+    });
+  } catch (error) {
+    console.error('Error retrieving popular search queries:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the conversations of a customer, with their messages
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The storefront customer ID
+ * @returns {Promise<Array>} - Conversations ordered by creation date
+ */
+export async function getCustomerConversations(shop, customerId) {
+  try {
+    return await prisma.conversation.findMany({
+      where: { shop, customerId },
+      include: {
+        messages: {
+          orderBy: { createdAt: 'asc' }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving customer conversations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the customer account tokens of a customer
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The storefront customer ID
+ * @param {Array<string>} conversationIds - The customer's conversations, tokens issued in them belong to the customer too
+ * @returns {Promise<Array>} - The customer tokens
+ */
+export async function getCustomerTokensForCustomer(shop, customerId, conversationIds) {
+  try {
+    return await prisma.customerToken.findMany({
+      where: {
+        shop,
+        OR: [
+          { customerId },
+          { conversationId: { in: conversationIds } }
+        ]
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving customer tokens for customer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete everything stored about a customer
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The storefront customer ID
+ * @returns {Promise<Object>} - Number of deleted conversations, messages, customer tokens, customer account URLs, customer identities and data request exports
+ */
+export async function deleteCustomerData(shop, customerId) {
+  try {
+    const conversations = await prisma.conversation.findMany({
+      where: { shop, customerId },
+      select: { id: true }
+    });
+    const conversationIds = conversations.map(conversation => conversation.id);
+
+    const [messages, customerTokens, customerAccountUrls, deletedConversations, customerIdentities, dataRequestExports] = await prisma.$transaction([
+      prisma.message.deleteMany({
+        where: { conversationId: { in: conversationIds } }
+      }),
+      prisma.customerToken.deleteMany({
+        where: {
+          shop,
+          OR: [
+            { customerId },
+            { conversationId: { in: conversationIds } }
+          ]
+        }
+      }),
+      prisma.customerAccountUrl.deleteMany({
+        where: { shop, conversationId: { in: conversationIds } }
+      }),
+      prisma.conversation.deleteMany({
+        where: { shop, id: { in: conversationIds } }
+      }),
+      prisma.customerIdentity.deleteMany({
+        where: { shop, customerId }
+      }),
+      prisma.dataRequestExport.deleteMany({
+        where: { shop, customerId }
+      })
+    ]);
+
+    return {
+      conversations: deletedConversations.count,
+      messages: messages.count,
+      customerTokens: customerTokens.count,
+      customerAccountUrls: customerAccountUrls.count,
+      customerIdentities: customerIdentities.count,
+      dataRequestExports: dataRequestExports.count
+    };
+  } catch (error) {
+    console.error('Error deleting customer data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete everything stored for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - Number of deleted rows per table
+ */
+export async function deleteShopData(shop) {
+  try {
+    const [
+      messages,
+      conversations,
+      customerTokens,
+      customerIdentities,
+      customerAccountUrls,
+      codeVerifiers,
+      searchCacheEntries,
+      searchQueryStats,
+      dataRequestExports,
+      retentionPolicies,
+      mcpServers,
+      sessions
+    ] = await prisma.$transaction([
+      prisma.message.deleteMany({ where: { conversation: { shop } } }),
+      prisma.conversation.deleteMany({ where: { shop } }),
+      prisma.customerToken.deleteMany({ where: { shop } }),
+      prisma.customerIdentity.deleteMany({ where: { shop } }),
+      prisma.customerAccountUrl.deleteMany({ where: { shop } }),
+      prisma.codeVerifier.deleteMany({ where: { shop } }),
+      prisma.searchCacheEntry.deleteMany({ where: { shop } }),
+      prisma.searchQueryStat.deleteMany({ where: { shop } }),
+      prisma.dataRequestExport.deleteMany({ where: { shop } }),
+      prisma.retentionPolicy.deleteMany({ where: { shop } }),
+      prisma.mcpServer.deleteMany({ where: { shop } }),
+      prisma.session.deleteMany({ where: { shop } })
+    ]);
+
+    return {
+      messages: messages.count,
+      conversations: conversations.count,
+      customerTokens: customerTokens.count,
+      customerIdentities: customerIdentities.count,
+      customerAccountUrls: customerAccountUrls.count,
+      codeVerifiers: codeVerifiers.count,
+      searchCacheEntries: searchCacheEntries.count,
+      searchQueryStats: searchQueryStats.count,
+      dataRequestExports: dataRequestExports.count,
+      retentionPolicies: retentionPolicies.count,
+      mcpServers: mcpServers.count,
+      sessions: sessions.count
+    };
+  } catch (error) {
+    console.error('Error deleting shop data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store the export bundle of a customer data request
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The storefront customer ID
+ * @param {string|null} dataRequestId - The ID of the data request
+ * @param {Object} payload - The export bundle
+ * @returns {Promise<Object>} - The saved export
+ */
+export async function storeDataRequestExport(shop, customerId, dataRequestId, payload) {
+  try {
+    return await prisma.dataRequestExport.create({
+      data: {
+        shop,
+        customerId,
+        dataRequestId,
+        payload: JSON.stringify(payload)
+      }
+    });
+  } catch (error) {
+    console.error('Error storing data request export:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the data request exports of a shop, without their bundles
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Exports ordered from newest to oldest
+ */
+export async function getDataRequestExports(shop) {
+  try {
+    return await prisma.dataRequestExport.findMany({
+      where: { shop },
+      select: {
+        id: true,
+        customerId: true,
+        dataRequestId: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving data request exports:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a data request export with its bundle
+ * @param {string} shop - The shop domain
+ * @param {string} id - The export ID
+ * @returns {Promise<Object|null>} - The export with the parsed `payload`, or null if not found
+ */
+export async function getDataRequestExport(shop, id) {
+  try {
+    const dataRequestExport = await prisma.dataRequestExport.findFirst({
+      where: { id, shop }
+    });
+
+    if (!dataRequestExport) {
+      return null;
+    }
+
+    return { ...dataRequestExport, payload: JSON.parse(dataRequestExport.payload) };
+  } catch (error) {
+    console.error('Error retrieving data request export:', error);
+    return null;
+  }
+}
+
+/**
+ * Record data the app deleted in the audit log
+ * @param {string} shop - The shop domain
+ * @param {string} action - What caused the deletion, e.g. "app_uninstalled"
+ * @param {Object} details - What was deleted, e.g. the number of deleted rows per table
+ * @returns {Promise<Object|null>} - The audit log entry or null on error
+ */
+export async function createAuditLogEntry(shop, action, details) {
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        shop,
+        action,
+        details: JSON.stringify(details)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating audit log entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the retention policy of a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The retention policy or null if the shop uses the default
+ */
+export async function getRetentionPolicy(shop) {
+  try {
+    return await prisma.retentionPolicy.findUnique({
+      where: { shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving retention policy:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the retention policies of all shops that override the default
+ * @returns {Promise<Array>} - The retention policies
+ */
+export async function getRetentionPolicies() {
+  try {
+    return await prisma.retentionPolicy.findMany();
+  } catch (error) {
+    console.error('Error retrieving retention policies:', error);
+    return [];
+  }
+}
+
+/**
+ * Store the retention policy of a shop
+ * @param {string} shop - The shop domain
+ * @param {number} conversationDays - Days without activity after which conversations are deleted, 0 keeps them forever
+ * @returns {Promise<Object>} - The saved retention policy
+ */
+export async function storeRetentionPolicy(shop, conversationDays) {
+  try {
+    return await prisma.retentionPolicy.upsert({
+      where: { shop },
+      update: { conversationDays },
+      create: { shop, conversationDays }
+    });
+  } catch (error) {
+    console.error('Error storing retention policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the shops that have conversations
+ * @returns {Promise<Array<string>>} - The shop domains
+ */
+export async function getConversationShops() {
+  try {
+    const conversations = await prisma.conversation.findMany({
+      distinct: ['shop'],
+      select: { shop: true }
+    });
+
+    return conversations.map(conversation => conversation.shop);
+  } catch (error) {
+    console.error('Error retrieving conversation shops:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete the conversations of a shop without activity since a date
+ * Tokens of a customer identity are only deleted once none of the identity's conversations is newer than the cutoff
+ * @param {string} shop - The shop domain
+ * @param {Date} cutoff - Conversations last updated before this date are deleted
+ * @returns {Promise<Object>} - Number of deleted conversations, messages, customer tokens and customer account URLs
+ */
+export async function deleteConversationsOlderThan(shop, cutoff) {
+  try {
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        shop,
+        updatedAt: { lt: cutoff }
+      },
+      select: { id: true, identityId: true }
+    });
+    const conversationIds = conversations.map(conversation => conversation.id);
+
+    if (conversationIds.length === 0) {
+      return { conversations: 0, messages: 0, customerTokens: 0, customerAccountUrls: 0 };
+    }
+
+    const identityIds = [...new Set(conversations.map(conversation => conversation.identityId).filter(Boolean))];
+    const activeIdentities = await prisma.conversation.findMany({
+      where: {
+        shop,
+        identityId: { in: identityIds },
+        updatedAt: { gte: cutoff }
+      },
+      select: { identityId: true },
+      distinct: ['identityId']
+    });
+    const activeIdentityIds = new Set(activeIdentities.map(conversation => conversation.identityId));
+    const staleIdentityIds = identityIds.filter(identityId => !activeIdentityIds.has(identityId));
+
+    const [messages, customerTokens, customerAccountUrls, deletedConversations] = await prisma.$transaction([
+      prisma.message.deleteMany({
+        where: { conversationId: { in: conversationIds } }
+      }),
+      prisma.customerToken.deleteMany({
+        where: {
+          shop,
+          OR: [
+            { conversationId: { in: conversationIds }, identityId: null },
+            { identityId: { in: staleIdentityIds } }
+          ]
+        }
+      }),
+      prisma.customerAccountUrl.deleteMany({
+        where: { shop, conversationId: { in: conversationIds } }
+      }),
+      prisma.conversation.deleteMany({
+        where: { shop, id: { in: conversationIds } }
+      })
+    ]);
+
+    return {
+      conversations: deletedConversations.count,
+      messages: messages.count,
+      customerTokens: customerTokens.count,
+      customerAccountUrls: customerAccountUrls.count
+    };
+  } catch (error) {
+    console.error('Error deleting old conversations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete expired customer access tokens that can't be refreshed
+ * Tokens with a refresh token are kept until the refresh token's lifetime has passed too
+ * @param {number} refreshTokenTtlDays - How long a refresh token lasts after its access token expired
+ * @returns {Promise<number>} - Number of deleted tokens
+ */
+export async function deleteExpiredCustomerTokens(refreshTokenTtlDays) {
+  try {
+    const now = Date.now();
+    const { count } = await prisma.customerToken.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lte: new Date(now) }, refreshToken: null },
+          { expiresAt: { lte: new Date(now - refreshTokenTtlDays * 24 * 60 * 60 * 1000) } }
+        ]
+      }
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error deleting expired customer tokens:', error);
+    return 0;
+  }
+}
+
+/**
+ * Delete expired code verifiers of OAuth flows that were never completed
+ * @returns {Promise<number>} - Number of deleted code verifiers
+ */
+export async function deleteExpiredCodeVerifiers() {
+  try {
+    const { count } = await prisma.codeVerifier.deleteMany({
+      where: {
+        expiresAt: { lte: new Date() }
+      }
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error deleting expired code verifiers:', error);
+    return 0;
+  }
+}
+
+/**
+ * Decrypt the headers of an MCP server row
+ * @param {Object|null} server - The MCP server row
+ * @returns {Object|null} - The MCP server with `headers` as a plain object
+ */
+function decryptMcpServer(server) {
+  if (!server) {
+    return server;
+  }
+
+  return {
+    ...server,
+    headers: server.headers ? JSON.parse(tokenEncryption.decrypt(server.headers, server.keyId)) : {}
+  };
+}
+
+/**
+ * Get the MCP servers a shop registered
+ * @param {string} shop - The shop domain
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.enabledOnly] - Only return enabled servers
+ * @returns {Promise<Array>} - The MCP servers, with decrypted `headers`
+ */
+export async function getMcpServers(shop, { enabledOnly = false } = {}) {
+  try {
+    const servers = await prisma.mcpServer.findMany({
+      where: {
+        shop,
+        ...(enabledOnly ? { enabled: true } : {})
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return servers.map(decryptMcpServer);
+  } catch (error) {
+    console.error('Error retrieving MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Get an MCP server of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} id - The MCP server ID
+ * @returns {Promise<Object|null>} - The MCP server with decrypted `headers`, or null if not found
+ */
+export async function getMcpServer(shop, id) {
+  try {
+    const server = await prisma.mcpServer.findFirst({
+      where: { id, shop }
+    });
+
+    return decryptMcpServer(server);
+  } catch (error) {
+    console.error('Error retrieving MCP server:', error);
+    return null;
+  }
+}
+
+/**
+ * Register an MCP server for a shop
+ * Headers are encrypted with the active TOKEN_ENCRYPTION_KEYS key
+ * @param {string} shop - The shop domain
+ * @param {Object} server - The MCP server
+ * @param {string} server.name - Display name
+ * @param {string} server.prefix - Prefix of the server's tool names
+ * @param {string} server.url - The MCP endpoint
+ * @param {Object} [server.headers] - HTTP headers sent with every request, e.g. Authorization
+ * @returns {Promise<Object>} - The saved MCP server
+ */
+export async function createMcpServer(shop, { name, prefix, url, headers = {} }) {
+  try {
+    const encryptedHeaders = Object.keys(headers).length > 0
+      ? tokenEncryption.encrypt(JSON.stringify(headers))
+      : null;
+
+    const server = await prisma.mcpServer.create({
+      data: {
+        shop,
+        name,
+        prefix,
+        url,
+        headers: encryptedHeaders?.value || null,
+        keyId: encryptedHeaders?.keyId || null
+      }
+    });
+
+    return decryptMcpServer(server);
+  } catch (error) {
+    console.error('Error storing MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enable or disable an MCP server of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} id - The MCP server ID
+ * @param {boolean} enabled - Whether its tools are offered
+ * @returns {Promise<number>} - Number of updated servers
+ */
+export async function setMcpServerEnabled(shop, id, enabled) {
+  try {
+    const { count } = await prisma.mcpServer.updateMany({
+      where: { id, shop },
+      data: { enabled }
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error updating MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of the last connection to an MCP server
+ * @param {string} shop - The shop domain
+ * @param {string} id - The MCP server ID
+ * @param {string|null} error - Why the connection failed, null if it succeeded
+ * @returns {Promise<number>} - Number of updated servers
+ */
+export async function updateMcpServerStatus(shop, id, error) {
+  try {
+    const { count } = await prisma.mcpServer.updateMany({
+      where: { id, shop },
+      data: {
+        status: error ? 'unhealthy' : 'healthy',
+        lastError: error ? error.slice(0, 500) : null,
+        lastCheckedAt: new Date()
+      }
+    });
+
+    return count;
+  } catch (updateError) {
+    console.error('Error updating MCP server status:', updateError);
+    return 0;
+  }
+}
+
+/**
+ * Delete an MCP server of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} id - The MCP server ID
+ * @returns {Promise<number>} - Number of deleted servers
+ */
+export async function deleteMcpServer(shop, id) {
+  try {
+    const { count } = await prisma.mcpServer.deleteMany({
+      where: { id, shop }
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    throw error;
+  }
+}
@@ -4,9 +4,13 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { retentionService, startRetentionScheduler } from "./services/retention.server";
 
 export const streamTimeout = 5000;
 
+// Purge old conversations and expired tokens in the background (AppConfig.retention)
+startRetentionScheduler(retentionService);
+
 export default async function handleRequest(
   request,
   responseStatusCode,
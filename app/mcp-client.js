@@ -1,9 +1,39 @@
-import { generateAuthUrl } from "./auth.server";
+import { generateAuthUrl, refreshCustomerToken } from "./auth.server";
 import { getCustomerToken } from "./db.server";
+import AppConfig from "./services/config.server";
+import {
+  McpHttpError,
+  McpProtocolError,
+  McpUnavailableError,
+  McpTimeoutError,
+  McpCircuitOpenError
+} from "./mcp-errors";
+import {
+  toolCatalog,
+  mcpMetrics,
+  mcpCircuitBreaker,
+  mcpFetch,
+  nextMcpRequestId
+} from "./services/mcp-connections.server";
+
+// Streamable HTTP clients must accept both a JSON body and an event stream
+const STREAMABLE_HTTP_HEADERS = {
+  "Accept": "application/json, text/event-stream"
+};
+
+// Methods that can be retried without side effects on the server
+const IDEMPOTENT_METHODS = new Set(["initialize", "tools/list", "ping"]);
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
- * Manages connections to both customer and storefront MCP endpoints, and handles tool invocation.
+ * Manages connections to the customer and storefront MCP endpoints and to MCP servers the
+ * merchant registered, and handles tool invocation.
+ * Each endpoint gets its own MCP session, started with the `initialize` handshake on first use.
+ * Tool lists, and the sessions of endpoints without customer credentials, come from the shared
+ * tool catalog when another client listed them recently.
+ * Every request has a deadline, idempotent requests are retried with backoff, and endpoints that keep
+ * failing are paused for the shop by a shared circuit breaker. Tool calls to an unavailable server return a
+ * `tool_unavailable` error the model can work with.
  */
 class MCPClient {
   /**
@@ -12,19 +42,38 @@ class MCPClient {
    * @param {string} hostUrl - The base URL for the shop
    * @param {string} conversationId - ID for the current conversation
    * @param {string} shopId - ID of the Shopify shop
+   * @param {string} [customerMcpEndpoint] - Customer MCP endpoint, derived from the host when omitted
+   * @param {Object} [options] - Client options
+   * @param {string} [options.locale] - Storefront locale tools should answer in, e.g. "fr-CA"
+   * @param {string} [options.country] - Storefront country, e.g. "CA"
+   * @param {AbortSignal} [options.signal] - Aborted when the chat turn or search runs out of time, failing every request after it
    */
-  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint) {
+  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint, options = {}) {
     this.tools = [];
     this.customerTools = [];
     this.storefrontTools = [];
+    // Tools of merchant registered MCP servers, by prefixed tool name
+    this.additionalTools = new Map();
+    // Endpoints of merchant registered servers, only reached on public addresses
+    this.additionalServerUrls = new Set();
     // TODO: Make this dynamic, for that first we need to allow access of mcp tools on password proteted demo stores.
     this.storefrontMcpEndpoint = `${hostUrl}/api/mcp`;
 
     const accountHostUrl = hostUrl.replace(/(\.myshopify\.com)$/, '.account$1');
     this.customerMcpEndpoint = customerMcpEndpoint || `${accountHostUrl}/customer/api/mcp`;
     this.customerAccessToken = "";
+    this.customerSignedOut = false;
+    // Expiry of the last token read from the database, a token gone before it expired was signed out
+    this.customerTokenExpiresAt = null;
     this.conversationId = conversationId;
+    this.shop = new URL(hostUrl).hostname;
     this.shopId = shopId;
+    this.locale = options.locale || null;
+    this.country = options.country || null;
+    this.signal = options.signal || null;
+
+    // MCP session per endpoint, with its session ID, protocol version and server capabilities
+    this.sessions = new Map();
   }
 
   /**
@@ -39,13 +88,7 @@ class MCPClient {
       console.log(`Connecting to MCP server at ${this.customerMcpEndpoint}`);
 
       if (this.conversationId) {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          this.customerAccessToken = dbToken.accessToken;
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
+        this.customerAccessToken = await this._getCustomerAccessToken();
       }
 
       // If we still don't have a token, we'll connect without one
@@ -55,15 +98,8 @@ class MCPClient {
         "Authorization": this.customerAccessToken || ""
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      // The session carries the customer's authorization, so only the tool list is shared
+      const toolsData = await this._listTools(this.customerMcpEndpoint, headers, { shareSession: false });
       const customerTools = this._formatToolsData(toolsData);
 
       this.customerTools = customerTools;
@@ -90,15 +126,7 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      const toolsData = await this._listTools(this.storefrontMcpEndpoint, headers, { shareSession: true });
       const storefrontTools = this._formatToolsData(toolsData);
 
       this.storefrontTools = storefrontTools;
@@ -111,19 +139,70 @@ class MCPClient {
     }
   }
 
+  /**
+   * Connects to merchant registered MCP servers and retrieves their tools.
+   * Tool names are prefixed with the server's prefix. A tool whose prefixed name is already taken,
+   * by a storefront or customer tool or by another server's tool, is left out: the model rejects
+   * duplicate tool names and calls would reach the wrong server.
+   * Connect the storefront and customer servers first so their tools take precedence.
+   * A server that fails doesn't prevent the others from connecting.
+   *
+   * @param {Array<Object>} servers - MCP servers with `id`, `name`, `prefix`, `url` and `headers`
+   * @returns {Promise<Array<Object>>} Per server, the `server`, its prefixed `tools` and the `error` if it failed
+   */
+  async connectToAdditionalServers(servers) {
+    return Promise.all(servers.map(async (server) => {
+      try {
+        console.log(`Connecting to MCP server ${server.name} at ${server.url}`);
+        this.additionalServerUrls.add(server.url);
+
+        const serverTools = await this._listTools(
+          server.url,
+          this._getAdditionalServerHeaders(server),
+          { shareSession: true }
+        );
+        const tools = [];
+        this._formatToolsData(serverTools).forEach((tool, index) => {
+          // Tool names the model accepts are limited to 64 letters, digits, "_" and "-"
+          const name = `${server.prefix}_${tool.name}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+
+          if (this.additionalTools.has(name) || this.tools.some(existing => existing.name === name)) {
+            console.warn(`Skipping tool ${tool.name} of MCP server ${server.name}, the name ${name} is already taken`);
+            return;
+          }
+
+          this.additionalTools.set(name, { server, toolName: serverTools[index].name });
+          tools.push({ ...tool, name });
+        });
+
+        this.tools = [...this.tools, ...tools];
+
+        return { server, tools, error: null };
+      } catch (error) {
+        console.error(`Failed to connect to MCP server ${server.name}: `, error);
+        return { server, tools: [], error };
+      }
+    }));
+  }
+
   /**
    * Dispatches a tool call to the appropriate MCP server based on the tool name.
    *
    * @param {string} toolName - Name of the tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options
+   * @param {Function} [options.onProgress] - Called with `{ progress, total, message }` when the server reports progress
+   * @param {number} [options.timeoutMs] - Deadline of the call, AppConfig.mcp.timeouts.toolCallMs by default
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If tool is not found or call fails
    */
-  async callTool(toolName, toolArgs) {
+  async callTool(toolName, toolArgs, options = {}) {
     if (this.customerTools.some(tool => tool.name === toolName)) {
-      return this.callCustomerTool(toolName, toolArgs);
+      return this.callCustomerTool(toolName, toolArgs, options);
     } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
-      return this.callStorefrontTool(toolName, toolArgs);
+      return this.callStorefrontTool(toolName, toolArgs, options);
+    } else if (this.additionalTools.has(toolName)) {
+      return this.callAdditionalTool(toolName, toolArgs, options);
     } else {
       throw new Error(`Tool ${toolName} not found`);
     }
@@ -134,10 +213,11 @@ class MCPClient {
    *
    * @param {string} toolName - Name of the storefront tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
-   * @returns {Promise<Object>} Result from the tool call
-   * @throws {Error} If the tool call fails
+   * @param {Object} [options] - Call options, see callTool
+   * @returns {Promise<Object>} Result from the tool call, or an `error` when the server rejected the call or is unavailable
+   * @throws {Error} If the request fails
    */
-  async callStorefrontTool(toolName, toolArgs) {
+  async callStorefrontTool(toolName, toolArgs, options = {}) {
     try {
       console.log("Calling storefront tool", toolName, toolArgs);
 
@@ -145,73 +225,146 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
+      return await this._makeJsonRpcRequest(
         this.storefrontMcpEndpoint,
         "tools/call",
         {
           name: toolName,
           arguments: toolArgs,
         },
-        headers
+        headers,
+        options
       );
-
-      return response.result || response;
     } catch (error) {
       console.error(`Error calling tool ${toolName}:`, error);
+
+      if (isUnavailable(error)) {
+        return getToolUnavailableResponse(toolName, error);
+      }
+
+      // A JSON-RPC error is an answer about this call, pass it on like a tool error
+      if (error instanceof McpProtocolError) {
+        return {
+          error: {
+            type: "protocol_error",
+            data: `Error calling tool ${toolName}: ${error.message}`
+          }
+        };
+      }
+
       throw error;
     }
   }
 
+  /**
+   * Calls a tool on a merchant registered MCP server.
+   *
+   * @param {string} toolName - Prefixed name of the tool to call
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, see callTool
+   * @returns {Promise<Object>} Result from the tool call, or an `error` if the call failed
+   */
+  async callAdditionalTool(toolName, toolArgs, options = {}) {
+    const { server, toolName: serverToolName } = this.additionalTools.get(toolName);
+
+    try {
+      console.log(`Calling ${server.name} tool`, serverToolName, toolArgs);
+
+      return await this._makeJsonRpcRequest(
+        server.url,
+        "tools/call",
+        {
+          name: serverToolName,
+          arguments: toolArgs,
+        },
+        this._getAdditionalServerHeaders(server),
+        options
+      );
+    } catch (error) {
+      // A merchant's server failing shouldn't end the conversation, let the model know instead
+      console.error(`Error calling tool ${toolName}:`, error);
+
+      if (isUnavailable(error)) {
+        return getToolUnavailableResponse(toolName, error);
+      }
+
+      return {
+        error: {
+          type: error instanceof McpProtocolError ? "protocol_error" : "internal_error",
+          data: `Error calling tool ${toolName}: ${error.message}`
+        }
+      };
+    }
+  }
+
   /**
    * Calls a tool on the customer MCP server.
    * Handles authentication if needed.
    *
    * @param {string} toolName - Name of the customer tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, see callTool
    * @returns {Promise<Object>} Result from the tool call or auth error
    * @throws {Error} If the tool call fails
    */
-  async callCustomerTool(toolName, toolArgs) {
+  async callCustomerTool(toolName, toolArgs, options = {}) {
+    if (this.customerSignedOut) {
+      return getSignedOutResponse();
+    }
+
     try {
       console.log("Calling customer tool", toolName, toolArgs);
-      // First try to get a token from the database for this conversation
-      let accessToken = this.customerAccessToken;
+      // Get the token for this conversation from the database, refreshed if it is about to expire
+      this.customerAccessToken = await this._getCustomerAccessToken();
 
-      if (!accessToken || accessToken === "") {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          accessToken = dbToken.accessToken;
-          this.customerAccessToken = accessToken; // Store it for later use
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
+      // Signed out through another app instance, whose event bus this stream doesn't hear
+      if (this.customerSignedOut) {
+        return getSignedOutResponse();
       }
 
-      const headers = {
-        "Content-Type": "application/json",
-        "Authorization": accessToken
-      };
+      const callTool = () => this._makeJsonRpcRequest(
+        this.customerMcpEndpoint,
+        "tools/call",
+        {
+          name: toolName,
+          arguments: toolArgs,
+        },
+        {
+          "Content-Type": "application/json",
+          "Authorization": this.customerAccessToken
+        },
+        options
+      );
 
       try {
-        const response = await this._makeJsonRpcRequest(
-          this.customerMcpEndpoint,
-          "tools/call",
-          {
-            name: toolName,
-            arguments: toolArgs,
-          },
-          headers
-        );
+        let response;
+        try {
+          response = await callTool();
+        } catch (error) {
+          // The token may have been revoked before it expired, refresh it once and retry
+          if (error.status !== 401 || !this.customerAccessToken) {
+            throw error;
+          }
+
+          this.customerAccessToken = await this._getCustomerAccessToken({ forceRefresh: true });
+          if (this.customerSignedOut) {
+            return getSignedOutResponse();
+          }
+          if (!this.customerAccessToken) {
+            throw error;
+          }
+
+          response = await callTool();
+        }
 
-        return response.result || response;
+        return response;
       } catch (error) {
-        // Handle 401 specifically to trigger authentication
+        // Handle 401 specifically to trigger authentication, once refreshing the token has failed
         if (error.status === 401) {
           console.log("Unauthorized, generating authorization URL for customer");
 
           // Generate auth URL
-          const authResponse = await generateAuthUrl(this.conversationId, this.shopId);
+          const authResponse = await generateAuthUrl(this.shop, this.conversationId, this.shopId);
 
           // Instead of retrying, return the auth URL for the front-end
           return {
@@ -227,46 +380,560 @@ class MCPClient {
       }
     } catch (error) {
       console.error(`Error calling tool ${toolName}:`, error);
+
+      if (isUnavailable(error)) {
+        return getToolUnavailableResponse(toolName, error);
+      }
+
       return {
         error: {
-          type: "internal_error",
+          type: error instanceof McpProtocolError ? "protocol_error" : "internal_error",
           data: `Error calling tool ${toolName}: ${error.message}`
         }
       };
     }
   }
 
+  /**
+   * Stops using customer tools after the customer signed out.
+   * The tools are no longer offered to the model, calls already in flight get a `signed_out` error.
+   */
+  signOutCustomer() {
+    this.customerSignedOut = true;
+    this.customerAccessToken = "";
+    this.tools = this.tools.filter(tool => !this.customerTools.some(customerTool => customerTool.name === tool.name));
+  }
+
+  /**
+   * Gets the customer access token for this conversation.
+   * Tokens that expire within AppConfig.customerAuth.refreshMarginSeconds are refreshed
+   * with their refresh token first.
+   *
+   * @private
+   * @param {Object} [options] - Token options
+   * @param {boolean} [options.forceRefresh] - Refresh the token even if it hasn't expired, e.g. after a 401
+   * @returns {Promise<string>} The access token, or an empty string if the customer has to log in
+   *   or signed out since the last call
+   */
+  async _getCustomerAccessToken({ forceRefresh = false } = {}) {
+    const token = await getCustomerToken(this.shop, this.conversationId, { includeExpired: true });
+
+    if (!token || !token.accessToken) {
+      console.log("No token in database for conversation:", this.conversationId);
+
+      // The purge only deletes expired tokens, an unexpired one is gone because the customer signed out
+      if (this.customerTokenExpiresAt && this.customerTokenExpiresAt.getTime() > Date.now()) {
+        this.signOutCustomer();
+      }
+
+      return "";
+    }
+
+    this.customerTokenExpiresAt = token.expiresAt;
+
+    const refreshBefore = Date.now() + AppConfig.customerAuth.refreshMarginSeconds * 1000;
+    const isExpired = token.expiresAt.getTime() <= Date.now();
+
+    if (!forceRefresh && token.expiresAt.getTime() > refreshBefore) {
+      return token.accessToken;
+    }
+
+    if (token.refreshToken) {
+      const refreshedToken = await refreshCustomerToken(this.shop, this.conversationId, token);
+      if (refreshedToken) {
+        this.customerTokenExpiresAt = refreshedToken.expiresAt;
+        return refreshedToken.accessToken;
+      }
+    }
+
+    // Without a refresh, a token that is still valid can be used until it expires
+    return forceRefresh || isExpired ? "" : token.accessToken;
+  }
+
+  /**
+   * Gets the capabilities the server at an endpoint announced in the `initialize` handshake.
+   *
+   * @param {string} endpoint - The endpoint URL
+   * @returns {Promise<Object|null>} The server capabilities, or null if no session was started
+   */
+  async getServerCapabilities(endpoint) {
+    const session = this.sessions.get(endpoint);
+    return session ? (await session).capabilities : null;
+  }
+
+  /**
+   * Lists the tools of an endpoint, from the shared tool catalog when it has a fresh entry.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} options - Listing options
+   * @param {boolean} options.shareSession - Whether other clients may reuse this client's session,
+   *   false when the headers hold credentials of one customer
+   * @returns {Promise<Array>} Raw tools from tools/list
+   */
+  async _listTools(endpoint, headers, { shareSession }) {
+    const cacheEnabled = AppConfig.mcp.toolCatalog.enabled;
+    const cached = cacheEnabled ? toolCatalog.get(this.shop, endpoint, this.locale) : null;
+
+    if (cached) {
+      if (cached.session && !this.sessions.has(endpoint)) {
+        this.sessions.set(endpoint, Promise.resolve(cached.session));
+      }
+
+      return cached.tools;
+    }
+
+    const result = await this._makeJsonRpcRequest(endpoint, "tools/list", {}, headers);
+    const tools = result && result.tools ? result.tools : [];
+
+    if (cacheEnabled) {
+      const session = shareSession ? await this.sessions.get(endpoint) : null;
+      toolCatalog.set(this.shop, endpoint, this.locale, { tools, session: session || null });
+    }
+
+    return tools;
+  }
+
   /**
    * Makes a JSON-RPC request to the specified endpoint.
+   * Starts the endpoint's MCP session first, and starts a new one once if the server
+   * no longer knows the session (404).
    *
    * @private
    * @param {string} endpoint - The endpoint URL
    * @param {string} method - The JSON-RPC method to call
    * @param {Object} params - Parameters for the method
    * @param {Object} headers - HTTP headers for the request
-   * @returns {Promise<Object>} Parsed JSON response
-   * @throws {Error} If the request fails
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onProgress] - Called with progress notifications the server streams for this request
+   * @param {number} [options.timeoutMs] - Deadline of the request, from AppConfig.mcp.timeouts by default
+   * @returns {Promise<Object>} The JSON-RPC result
+   * @throws {McpHttpError} If the server answers with a non-2xx status
+   * @throws {McpProtocolError} If the server answers with a JSON-RPC error
+   * @throws {McpUnavailableError} If the server can't be reached, times out or its circuit is open
+   */
+  async _makeJsonRpcRequest(endpoint, method, params, headers, options = {}) {
+    const session = await this._getSession(endpoint, headers);
+
+    try {
+      const { body } = await this._sendJsonRpcRequest(endpoint, method, params, headers, session, options);
+      return body.result;
+    } catch (error) {
+      if (!(error instanceof McpHttpError) || error.status !== 404 || !session.sessionId) {
+        throw error;
+      }
+
+      console.log(`MCP session expired at ${endpoint}, starting a new one`);
+      this.sessions.delete(endpoint);
+      // Other clients may have been handed the expired session with the catalog
+      toolCatalog.invalidate(this.shop, endpoint);
+
+      const newSession = await this._getSession(endpoint, headers);
+      const { body } = await this._sendJsonRpcRequest(endpoint, method, params, headers, newSession, options);
+      return body.result;
+    }
+  }
+
+  /**
+   * Gets the MCP session of an endpoint, performing the `initialize` handshake on first use.
+   * Concurrent requests share one handshake.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the handshake, e.g. the customer authorization
+   * @returns {Promise<Object>} The session with `sessionId`, `protocolVersion`, `capabilities` and `serverInfo`
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: method,
-        id: 1,
-        params: params
-      }),
+  async _getSession(endpoint, headers) {
+    if (!this.sessions.has(endpoint)) {
+      const session = this._initializeSession(endpoint, headers);
+      this.sessions.set(endpoint, session);
+
+      // Let the next request retry a failed handshake
+      session.catch(() => this.sessions.delete(endpoint));
+    }
+
+    return this.sessions.get(endpoint);
+  }
+
+  /**
+   * Performs the MCP `initialize` handshake and sends `notifications/initialized`.
+   * Servers that predate the handshake (method not found) are used without a session.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the handshake
+   * @returns {Promise<Object>} The session
+   * @throws {McpProtocolError} If the server only speaks protocol versions this client doesn't
+   */
+  async _initializeSession(endpoint, headers) {
+    const [requestedVersion] = AppConfig.mcp.protocolVersions;
+    let response;
+
+    try {
+      response = await this._sendJsonRpcRequest(endpoint, "initialize", {
+        protocolVersion: requestedVersion,
+        capabilities: {},
+        clientInfo: AppConfig.mcp.clientInfo
+      }, headers, null);
+    } catch (error) {
+      if (error instanceof McpProtocolError && error.code === McpProtocolError.METHOD_NOT_FOUND) {
+        console.warn(`MCP server at ${endpoint} doesn't support initialize, continuing without a session`);
+        return { sessionId: null, protocolVersion: null, capabilities: {}, serverInfo: null };
+      }
+
+      throw error;
+    }
+
+    const { protocolVersion, capabilities, serverInfo } = response.body.result || {};
+
+    if (!AppConfig.mcp.protocolVersions.includes(protocolVersion)) {
+      throw new McpProtocolError(`Unsupported MCP protocol version ${protocolVersion}`, {
+        endpoint,
+        method: "initialize",
+        code: McpProtocolError.INVALID_PARAMS
+      });
+    }
+
+    const session = {
+      sessionId: response.headers.get("Mcp-Session-Id"),
+      protocolVersion,
+      capabilities: capabilities || {},
+      serverInfo: serverInfo || null
+    };
+
+    await this._sendJsonRpcNotification(endpoint, "notifications/initialized", headers, session);
+
+    return session;
+  }
+
+  /**
+   * Sends a JSON-RPC request, retrying idempotent methods after failures that may be transient.
+   * Retries wait a random, exponentially growing delay so clients don't retry in lockstep.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object|null} session - The MCP session, null during the handshake
+   * @param {Object} [options] - Request options, see _makeJsonRpcRequest
+   * @returns {Promise<Object>} The parsed JSON-RPC response `body` and the response `headers`
+   * @throws {McpHttpError} If the server answers with a non-2xx status
+   * @throws {McpProtocolError} If the server answers with a JSON-RPC error or a mismatched ID
+   * @throws {McpUnavailableError} If the server can't be reached, times out or its circuit is open
+   */
+  async _sendJsonRpcRequest(endpoint, method, params, headers, session, options = {}) {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = AppConfig.mcp.retries;
+    const attempts = IDEMPOTENT_METHODS.has(method) ? maxAttempts : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._postJsonRpcRequest(endpoint, method, params, headers, session, options);
+      } catch (error) {
+        if (attempt >= attempts || !isServerFailure(error)) {
+          throw error;
+        }
+
+        const delayMs = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+        console.warn(`MCP ${method} at ${endpoint} failed (${error.message}), retrying in ${delayMs}ms`);
+        await this._wait(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Sends a JSON-RPC request once, with a unique ID and the session headers.
+   * The server may answer with JSON or, per the Streamable HTTP transport, with an event stream.
+   * The storefront locale is sent as Accept-Language and in the request `_meta`.
+   * Requests share keep-alive connections and their duration is recorded in the MCP metrics.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object|null} session - The MCP session, null during the handshake
+   * @param {Object} [options] - Request options, see _makeJsonRpcRequest
+   * @returns {Promise<Object>} The parsed JSON-RPC response `body` and the response `headers`
+   * @throws {McpHttpError} If the server answers with a non-2xx status
+   * @throws {McpProtocolError} If the server answers with a JSON-RPC error or a mismatched ID
+   * @throws {McpUnavailableError} If the server can't be reached, times out or its circuit is open
+   */
+  async _postJsonRpcRequest(endpoint, method, params, headers, session, options = {}) {
+    if (this.locale) {
+      headers = { ...headers, "Accept-Language": this.locale };
+      params = { ...params, _meta: { ...params._meta, locale: this.locale, country: this.country } };
+    }
+
+    const id = nextMcpRequestId();
+
+    // Ask the server to stream progress notifications for this request
+    if (options.onProgress) {
+      params = { ...params, _meta: { ...params._meta, progressToken: id } };
+    }
+
+    const { timeouts } = AppConfig.mcp;
+    const timeoutMs = options.timeoutMs || (method === "tools/call" ? timeouts.toolCallMs : timeouts.requestMs);
+    const startedAt = performance.now();
+    let failed = true;
+
+    try {
+      const result = await this._withDeadline(endpoint, method, timeoutMs, async (signal) => {
+        const response = await mcpFetch(endpoint, {
+          method: "POST",
+          headers: { ...headers, ...STREAMABLE_HTTP_HEADERS, ...this._getSessionHeaders(session) },
+          body: JSON.stringify({
+            jsonrpc: "2.0",
+            method: method,
+            id: id,
+            params: params
+          }),
+          signal
+        }, { publicOnly: this.additionalServerUrls.has(endpoint) });
+
+        if (!response.ok) {
+          throw new McpHttpError(response.status, await response.text(), { endpoint, method });
+        }
+
+        const isEventStream = (response.headers.get("Content-Type") || "").includes("text/event-stream");
+        const body = isEventStream
+          ? await this._readEventStream(response, id, { endpoint, method, onProgress: options.onProgress })
+          : await response.json();
+
+        return { body, headers: response.headers };
+      });
+
+      const { body } = result;
+
+      if (body.error) {
+        throw new McpProtocolError(body.error.message || `JSON-RPC error ${body.error.code}`, {
+          endpoint,
+          method,
+          code: body.error.code,
+          data: body.error.data
+        });
+      }
+
+      if (body.id !== id) {
+        throw new McpProtocolError(`Response ID ${body.id} doesn't match request ID ${id}`, { endpoint, method });
+      }
+
+      failed = false;
+      return result;
+    } finally {
+      mcpMetrics.recordRequest(this.shop, method, performance.now() - startedAt, failed);
+    }
+  }
+
+  /**
+   * Sends a JSON-RPC notification, which has no ID and gets no response body.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The notification method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} session - The MCP session
+   * @returns {Promise<void>}
+   * @throws {McpHttpError} If the server answers with a non-2xx status
+   * @throws {McpUnavailableError} If the server can't be reached, times out or its circuit is open
+   */
+  async _sendJsonRpcNotification(endpoint, method, headers, session) {
+    await this._withDeadline(endpoint, method, AppConfig.mcp.timeouts.requestMs, async (signal) => {
+      const response = await mcpFetch(endpoint, {
+        method: "POST",
+        headers: { ...headers, ...STREAMABLE_HTTP_HEADERS, ...this._getSessionHeaders(session) },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          method: method
+        }),
+        signal
+      }, { publicOnly: this.additionalServerUrls.has(endpoint) });
+
+      if (!response.ok) {
+        throw new McpHttpError(response.status, await response.text(), { endpoint, method });
+      }
+    });
+  }
+
+  /**
+   * Runs a request against an endpoint within a deadline and through the shop's circuit for the endpoint.
+   * The request is aborted when its own deadline or the turn's deadline passes. Server failures
+   * count towards opening the circuit, any other answer closes it.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method, for errors
+   * @param {number} timeoutMs - The request deadline
+   * @param {Function} request - Called with the AbortSignal to pass to fetch
+   * @returns {Promise<*>} What the request returned
+   * @throws {McpTimeoutError} If a deadline passed
+   * @throws {McpCircuitOpenError} If the endpoint is paused after repeated failures
+   * @throws {McpUnavailableError} If the server can't be reached
+   */
+  async _withDeadline(endpoint, method, timeoutMs, request) {
+    if (this.signal?.aborted) {
+      throw new McpTimeoutError(`Ran out of time before ${method}`, { endpoint, method, scope: "turn" });
+    }
+
+    if (!mcpCircuitBreaker.acquire(this.shop, endpoint)) {
+      throw new McpCircuitOpenError(mcpCircuitBreaker.getRetryAt(this.shop, endpoint), { endpoint, method });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new McpTimeoutError(`${method} timed out after ${timeoutMs}ms`, { endpoint, method, timeoutMs }));
+    }, timeoutMs);
+    const abortTurn = () => {
+      controller.abort(new McpTimeoutError(`Ran out of time during ${method}`, { endpoint, method, scope: "turn" }));
+    };
+    this.signal?.addEventListener("abort", abortTurn);
+
+    try {
+      const result = await request(controller.signal);
+      mcpCircuitBreaker.recordSuccess(this.shop, endpoint);
+      return result;
+    } catch (caught) {
+      let error = caught;
+
+      if (controller.signal.aborted) {
+        error = controller.signal.reason;
+      } else if (caught instanceof TypeError) {
+        // fetch rejects with a TypeError when the server can't be reached or the connection breaks
+        error = new McpUnavailableError(`MCP server unreachable: ${caught.cause?.message || caught.message}`, {
+          endpoint,
+          method,
+          cause: caught
+        });
+      }
+
+      if (isServerFailure(error)) {
+        mcpCircuitBreaker.recordFailure(this.shop, endpoint);
+      } else if (error instanceof McpHttpError) {
+        mcpCircuitBreaker.recordSuccess(this.shop, endpoint);
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.signal?.removeEventListener("abort", abortTurn);
+    }
+  }
+
+  /**
+   * Waits before a retry, returning early when the turn runs out of time.
+   *
+   * @private
+   * @param {number} delayMs - The delay
+   * @returns {Promise<void>}
+   */
+  async _wait(delayMs) {
+    await new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.signal?.removeEventListener("abort", done);
+        resolve();
+      };
+      const timer = setTimeout(done, delayMs);
+      this.signal?.addEventListener("abort", done);
     });
+  }
+
+  /**
+   * Reads a Streamable HTTP event stream until the response to a request arrives.
+   * Progress notifications for the request are passed to `onProgress`, `notifications/tools/list_changed`
+   * drops the endpoint's cached tool catalog, other server messages sent before the response are logged
+   * and otherwise ignored.
+   *
+   * @private
+   * @param {Response} response - The fetch response with a `text/event-stream` body
+   * @param {number} id - The JSON-RPC request ID
+   * @param {Object} context - Stream context
+   * @param {string} context.endpoint - The endpoint URL
+   * @param {string} context.method - The JSON-RPC method
+   * @param {Function} [context.onProgress] - Called with `{ progress, total, message }`
+   * @returns {Promise<Object>} The JSON-RPC response
+   * @throws {McpProtocolError} If the stream ends without a response
+   */
+  async _readEventStream(response, id, { endpoint, method, onProgress }) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? "" : events.pop();
+
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith("data:"))
+            .map(line => line.slice(5).replace(/^ /, ""))
+            .join("\n");
+
+          if (!data) continue;
+
+          // A single event may carry a JSON-RPC batch
+          const messages = [].concat(JSON.parse(data));
+
+          for (const message of messages) {
+            if (message.id === id && ("result" in message || "error" in message)) {
+              return message;
+            }
 
-    if (!response.ok) {
-      const error = await response.text();
-      const errorObj = new Error(`Request failed: ${response.status} ${error}`);
-      errorObj.status = response.status;
-      throw errorObj;
+            if (message.method === "notifications/progress" && message.params?.progressToken === id) {
+              const { progress, total, message: progressMessage } = message.params;
+              onProgress?.({ progress, total: total ?? null, message: progressMessage || null });
+            } else if (message.method === "notifications/tools/list_changed") {
+              console.log(`MCP server at ${endpoint} changed its tools, dropping the cached tool list`);
+              toolCatalog.invalidate(this.shop, endpoint);
+            } else if (message.method) {
+              console.log(`MCP server at ${endpoint} sent ${message.method} during ${method}`);
+            }
+          }
+        }
+
+        if (done) break;
+      }
+    } finally {
+      // Stop reading once the response arrived, the server may keep the stream open
+      reader.cancel().catch(() => {});
     }
 
-    return await response.json();
+    throw new McpProtocolError(`Event stream ended without a response to ${method}`, { endpoint, method });
+  }
+
+  /**
+   * Gets the HTTP headers for a merchant registered MCP server.
+   *
+   * @private
+   * @param {Object} server - The MCP server
+   * @returns {Object} The server's configured headers with the JSON content type
+   */
+  _getAdditionalServerHeaders(server) {
+    return {
+      ...server.headers,
+      "Content-Type": "application/json"
+    };
+  }
+
+  /**
+   * Gets the headers that identify the MCP session on every request after the handshake.
+   *
+   * @private
+   * @param {Object|null} session - The MCP session
+   * @returns {Object} The `Mcp-Session-Id` and `MCP-Protocol-Version` headers, when known
+   */
+  _getSessionHeaders(session) {
+    return {
+      ...(session?.sessionId ? { "Mcp-Session-Id": session.sessionId } : {}),
+      ...(session?.protocolVersion ? { "MCP-Protocol-Version": session.protocolVersion } : {})
+    };
   }
 
   /**
@@ -287,4 +954,64 @@ class MCPClient {
   }
 }
 
+/**
+ * Checks whether an error means the server failed, rather than answered the request.
+ * Such failures are retried for idempotent methods and count towards opening the circuit.
+ *
+ * @param {Error} error - The error
+ * @returns {boolean} True for connection failures, request timeouts and 429/5xx responses
+ */
+function isServerFailure(error) {
+  if (error instanceof McpHttpError) {
+    return error.status === 429 || error.status >= 500;
+  }
+
+  return error instanceof McpUnavailableError
+    && !(error instanceof McpCircuitOpenError)
+    && !(error instanceof McpTimeoutError && error.scope === "turn");
+}
+
+/**
+ * Checks whether a tool call failed because its server is unavailable right now.
+ *
+ * @param {Error} error - The error
+ * @returns {boolean} True if the call may work later
+ */
+function isUnavailable(error) {
+  return error instanceof McpUnavailableError || isServerFailure(error);
+}
+
+/**
+ * Builds the tool result for a call to a server that is unavailable, so the model can carry on without it.
+ *
+ * @param {string} toolName - Name of the tool
+ * @param {Error} error - Why the server is unavailable
+ * @returns {Object} Tool response with a `tool_unavailable` error
+ */
+function getToolUnavailableResponse(toolName, error) {
+  // Error pages of failing servers aren't useful to the model
+  const reason = error instanceof McpHttpError ? `HTTP ${error.status}` : error.message;
+
+  return {
+    error: {
+      type: "tool_unavailable",
+      data: `The tool ${toolName} is temporarily unavailable (${reason}). Continue without it, or suggest trying again later.`
+    }
+  };
+}
+
+/**
+ * Builds the tool result for a customer tool called after the customer signed out.
+ *
+ * @returns {Object} Tool response with a `signed_out` error
+ */
+function getSignedOutResponse() {
+  return {
+    error: {
+      type: "signed_out",
+      data: "The customer signed out, customer account tools are no longer available in this conversation."
+    }
+  };
+}
+
 export default MCPClient;
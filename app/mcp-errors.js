@@ -0,0 +1,111 @@
+/**
+ * Errors thrown by MCPClient, so callers can tell transport failures from protocol errors.
+ */
+
+/**
+ * Base class of every MCP client error.
+ */
+export class McpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.endpoint] - The MCP endpoint the request was sent to
+   * @param {string} [details.method] - The JSON-RPC method
+   */
+  constructor(message, { endpoint, method } = {}) {
+    super(message);
+    this.name = "McpError";
+    this.endpoint = endpoint || null;
+    this.method = method || null;
+  }
+}
+
+/**
+ * The MCP server answered with a non-2xx HTTP status.
+ * `status` is kept so callers can react to 401s (authorization) and 404s (expired session).
+ */
+export class McpHttpError extends McpError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} body - Response body
+   * @param {Object} [details] - Error details, see McpError
+   */
+  constructor(status, body, details) {
+    super(`Request failed: ${status} ${body}`, details);
+    this.name = "McpHttpError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * The MCP server answered with a JSON-RPC `error` object, or broke the protocol.
+ */
+export class McpProtocolError extends McpError {
+  // JSON-RPC error codes
+  static METHOD_NOT_FOUND = -32601;
+  static INVALID_PARAMS = -32602;
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, see McpError
+   * @param {number|null} [details.code] - JSON-RPC error code, null when the client detected the problem
+   * @param {*} [details.data] - JSON-RPC error data
+   */
+  constructor(message, { code = null, data = null, ...details } = {}) {
+    super(message, details);
+    this.name = "McpProtocolError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * The MCP server couldn't be reached, or the connection failed before it answered.
+ */
+export class McpUnavailableError extends McpError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, see McpError
+   * @param {Error} [details.cause] - The network error
+   */
+  constructor(message, { cause, ...details } = {}) {
+    super(message, details);
+    this.name = "McpUnavailableError";
+    this.cause = cause || null;
+  }
+}
+
+/**
+ * The request ran past its own deadline (`scope` "request") or the deadline of the
+ * chat turn or search it belongs to (`scope` "turn").
+ */
+export class McpTimeoutError extends McpUnavailableError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, see McpError
+   * @param {string} [details.scope] - "request" or "turn"
+   * @param {number|null} [details.timeoutMs] - The request deadline, null for the turn deadline
+   */
+  constructor(message, { scope = "request", timeoutMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = "McpTimeoutError";
+    this.scope = scope;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The endpoint failed repeatedly, so the circuit breaker stopped sending it requests for a while.
+ */
+export class McpCircuitOpenError extends McpUnavailableError {
+  /**
+   * @param {Date} retryAt - When the endpoint gets a request again
+   * @param {Object} [details] - Error details, see McpError
+   */
+  constructor(retryAt, details = {}) {
+    super(`MCP server at ${details.endpoint} is failing, paused until ${retryAt.toISOString()}`, details);
+    this.name = "McpCircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
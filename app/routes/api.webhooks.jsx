@@ -1,17 +1,47 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { searchCache } from "../services/search-cache.server";
+import { createComplianceService } from "../services/compliance.server";
+
+const complianceService = createComplianceService();
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, topic, payload } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
   switch (topic) {
-    case 'APP_UNINSTALLED':
-      if (session) {
-        await db.session.deleteMany({where: {shop}});
-      }
+    case 'APP_UNINSTALLED': {
+      // Sessions, conversations, tokens and cached searches, recorded in the audit log
+      const deleted = await complianceService.uninstallShop(shop);
+      console.log(`Deleted data of uninstalled shop ${shop}:`, deleted);
+      break;
+    }
+    case 'PRODUCTS_CREATE':
+    case 'PRODUCTS_UPDATE':
+    case 'PRODUCTS_DELETE':
+      // Cached search results may now show stale products, prices or availability
+      await searchCache.invalidateShop(shop);
+      break;
+    case 'CUSTOMERS_DATA_REQUEST': {
+      // The merchant downloads the export from the app's Data requests page
+      const dataRequestExport = await complianceService.exportCustomerData({
+        shop,
+        customerId: String(payload.customer.id),
+        dataRequestId: payload.data_request?.id ? String(payload.data_request.id) : null
+      });
+      console.log(`Stored data request export ${dataRequestExport.id} for ${shop}`);
+      break;
+    }
+    case 'CUSTOMERS_REDACT': {
+      const deleted = await complianceService.redactCustomer(shop, String(payload.customer.id));
+      console.log(`Redacted customer data for ${shop}:`, deleted);
+      break;
+    }
+    case 'SHOP_REDACT': {
+      const deleted = await complianceService.redactShop(shop);
+      console.log(`Redacted shop data for ${shop}:`, deleted);
       break;
+    }
     default:
       throw new Response('Unhandled webhook topic', {status: 404});
   }
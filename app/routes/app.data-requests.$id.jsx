@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { getDataRequestExport } from "../db.server";
+
+/**
+ * Serves the JSON bundle of a customer data request as a download
+ */
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const dataRequestExport = await getDataRequestExport(session.shop, params.id);
+
+  if (!dataRequestExport) {
+    throw new Response("Data request not found", { status: 404 });
+  }
+
+  return new Response(JSON.stringify(dataRequestExport.payload, null, 2), {
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Disposition": `attachment; filename="data-request-${dataRequestExport.id}.json"`,
+    },
+  });
+};
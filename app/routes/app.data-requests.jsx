@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  DataTable,
+  Button,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getDataRequestExports } from "../db.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const exports = await getDataRequestExports(session.shop);
+
+  return {
+    exports: exports.map((dataRequestExport) => ({
+      ...dataRequestExport,
+      createdAt: dataRequestExport.createdAt.toISOString(),
+    })),
+  };
+};
+
+export default function DataRequests() {
+  const { exports } = useLoaderData();
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  // App Bridge adds the session token to fetch requests, a plain link would not be authenticated
+  const download = async (id) => {
+    setDownloadingId(id);
+    try {
+      const response = await fetch(`/app/data-requests/${id}`);
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `data-request-${id}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const rows = exports.map((dataRequestExport) => [
+    dataRequestExport.customerId,
+    dataRequestExport.dataRequestId || "—",
+    new Date(dataRequestExport.createdAt).toLocaleString(),
+    <Button
+      key={dataRequestExport.id}
+      onClick={() => download(dataRequestExport.id)}
+      loading={downloadingId === dataRequestExport.id}
+    >
+      Download JSON
+    </Button>,
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="Customer data requests" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="bodyMd" as="p">
+                When a customer asks for their data, Shopify sends a data request
+                and the app collects the conversations stored for that customer.
+                Download the bundle and send it to the customer.
+              </Text>
+              {rows.length > 0 ? (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text"]}
+                  headings={["Customer ID", "Data request ID", "Requested", ""]}
+                  rows={rows}
+                />
+              ) : (
+                <EmptyState heading="No data requests yet" image="">
+                  <p>Data requests from your customers will appear here.</p>
+                </EmptyState>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,6 +22,9 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/data-requests">Data requests</Link>
+        <Link to="/app/retention">Data retention</Link>
+        <Link to="/app/mcp-servers">MCP servers</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
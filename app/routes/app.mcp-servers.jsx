@@ -0,0 +1,264 @@
+import { useEffect, useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Button,
+  Banner,
+  Badge,
+  DataTable,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getMcpServers, setMcpServerEnabled, deleteMcpServer } from "../db.server";
+import { createMcpServerService } from "../services/mcp-servers.server";
+import { getMcpConnectionMetrics, mcpCircuitBreaker } from "../services/mcp-connections.server";
+
+const STATUS_TONES = {
+  healthy: "success",
+  unhealthy: "critical",
+  unknown: undefined,
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const servers = await getMcpServers(session.shop);
+  const metrics = getMcpConnectionMetrics(session.shop);
+
+  // Header values are secrets, only their names are shown
+  return {
+    servers: servers.map((server) => ({
+      id: server.id,
+      name: server.name,
+      prefix: server.prefix,
+      url: server.url,
+      headerNames: Object.keys(server.headers),
+      enabled: server.enabled,
+      status: server.status,
+      lastError: server.lastError,
+      lastCheckedAt: server.lastCheckedAt ? server.lastCheckedAt.toISOString() : null,
+      paused: mcpCircuitBreaker.isOpen(session.shop, server.url),
+    })),
+    // This shop's storefront, customer and merchant server requests
+    metrics,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const id = formData.get("id");
+  const mcpServerService = createMcpServerService();
+
+  switch (intent) {
+    case "create": {
+      const { errors } = await mcpServerService.registerServer(session.shop, {
+        name: formData.get("name"),
+        prefix: formData.get("prefix"),
+        url: formData.get("url"),
+        headers: formData.get("headers"),
+      });
+
+      return errors ? { errors } : { saved: true };
+    }
+    case "toggle":
+      await setMcpServerEnabled(session.shop, id, formData.get("enabled") === "true");
+      return { updated: true };
+    case "delete":
+      await deleteMcpServer(session.shop, id);
+      return { deleted: true };
+    case "check":
+      return { check: { id, ...(await mcpServerService.checkServer(session.shop, id)) } };
+    default:
+      return new Response("Unknown intent", { status: 400 });
+  }
+};
+
+export default function McpServers() {
+  const { servers, metrics } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [name, setName] = useState("");
+  const [prefix, setPrefix] = useState("");
+  const [url, setUrl] = useState("");
+  const [headers, setHeaders] = useState("");
+
+  const submittingIntent = navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const submittingId = navigation.state === "submitting" ? navigation.formData?.get("id") : null;
+
+  // Clear the form once the server is saved
+  useEffect(() => {
+    if (actionData?.saved) {
+      setName("");
+      setPrefix("");
+      setUrl("");
+      setHeaders("");
+    }
+  }, [actionData]);
+
+  const catalogLookups = metrics.toolCatalog.hits + metrics.toolCatalog.misses;
+  const toolsList = metrics.requests["tools/list"];
+
+  const rows = servers.map((server) => [
+    <BlockStack key={`${server.id}-name`} gap="100">
+      <Text as="span" fontWeight="semibold">{server.name}</Text>
+      <Text as="span" tone="subdued">{server.url}</Text>
+    </BlockStack>,
+    `${server.prefix}_`,
+    server.headerNames.length > 0 ? server.headerNames.join(", ") : "—",
+    <BlockStack key={`${server.id}-status`} gap="100">
+      <InlineStack gap="100">
+        <Badge tone={STATUS_TONES[server.status]}>{server.status}</Badge>
+        {!server.enabled && <Badge>disabled</Badge>}
+        {server.paused && <Badge tone="warning">paused after failures</Badge>}
+      </InlineStack>
+      {server.lastCheckedAt && (
+        <Text as="span" tone="subdued">
+          Checked {new Date(server.lastCheckedAt).toLocaleString()}
+        </Text>
+      )}
+      {server.status === "unhealthy" && server.lastError && (
+        <Text as="span" tone="critical">{server.lastError}</Text>
+      )}
+    </BlockStack>,
+    <InlineStack key={`${server.id}-actions`} gap="200">
+      <Form method="post">
+        <input type="hidden" name="intent" value="check" />
+        <input type="hidden" name="id" value={server.id} />
+        <Button submit loading={submittingIntent === "check" && submittingId === server.id}>
+          Check
+        </Button>
+      </Form>
+      <Form method="post">
+        <input type="hidden" name="intent" value="toggle" />
+        <input type="hidden" name="id" value={server.id} />
+        <input type="hidden" name="enabled" value={String(!server.enabled)} />
+        <Button submit loading={submittingIntent === "toggle" && submittingId === server.id}>
+          {server.enabled ? "Disable" : "Enable"}
+        </Button>
+      </Form>
+      <Form method="post">
+        <input type="hidden" name="intent" value="delete" />
+        <input type="hidden" name="id" value={server.id} />
+        <Button submit tone="critical" loading={submittingIntent === "delete" && submittingId === server.id}>
+          Delete
+        </Button>
+      </Form>
+    </InlineStack>,
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="MCP servers" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="bodyMd" as="p">
+                Tools of these servers are offered to the assistant in chat and search,
+                named with the server&apos;s prefix.
+              </Text>
+              {actionData?.check && (
+                <Banner tone={actionData.check.error ? "critical" : "success"}>
+                  {actionData.check.error
+                    ? `Connection failed: ${actionData.check.error}`
+                    : `Connected, the server offers ${actionData.check.tools} tools.`}
+                </Banner>
+              )}
+              {rows.length > 0 ? (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "text"]}
+                  headings={["Server", "Tool prefix", "Headers", "Status", ""]}
+                  rows={rows}
+                />
+              ) : (
+                <EmptyState heading="No MCP servers yet" image="">
+                  <p>Add a server below to give the assistant more tools.</p>
+                </EmptyState>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <Form method="post">
+              <input type="hidden" name="intent" value="create" />
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Add a server
+                </Text>
+                {actionData?.saved && (
+                  <Banner tone="success">Server added.</Banner>
+                )}
+                <TextField
+                  label="Name"
+                  name="name"
+                  value={name}
+                  onChange={setName}
+                  error={actionData?.errors?.name}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Tool prefix"
+                  name="prefix"
+                  value={prefix}
+                  onChange={setPrefix}
+                  error={actionData?.errors?.prefix}
+                  helpText="For example loyalty, tools are offered as loyalty_<tool name>."
+                  autoComplete="off"
+                />
+                <TextField
+                  label="MCP endpoint URL"
+                  name="url"
+                  type="url"
+                  value={url}
+                  onChange={setUrl}
+                  error={actionData?.errors?.url}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Headers"
+                  name="headers"
+                  value={headers}
+                  onChange={setHeaders}
+                  error={actionData?.errors?.headers}
+                  helpText="One per line, e.g. Authorization: Bearer ... Stored encrypted. Connection and content headers are set by the app."
+                  multiline={3}
+                  autoComplete="off"
+                />
+                <Button submit variant="primary" loading={submittingIntent === "create"}>
+                  Add server
+                </Button>
+              </BlockStack>
+            </Form>
+          </Card>
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Tool lists
+              </Text>
+              <Text variant="bodyMd" as="p">
+                {catalogLookups > 0
+                  ? `${Math.round((metrics.toolCatalog.hits / catalogLookups) * 100)}% of ${catalogLookups} tool lists were served from the cache.`
+                  : "No tool lists were requested since the app started."}
+              </Text>
+              {toolsList && (
+                <Text variant="bodyMd" as="p" tone="subdued">
+                  Listing tools from a server took {toolsList.averageMs}ms on average
+                  and {toolsList.maxMs}ms at most, {toolsList.failures} of {toolsList.count} requests failed.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
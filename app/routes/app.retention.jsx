@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getRetentionPolicy, storeRetentionPolicy } from "../db.server";
+import AppConfig from "../services/config.server";
+
+// Ten years, longer periods are better expressed as 0 (keep forever)
+const MAX_CONVERSATION_DAYS = 3650;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const policy = await getRetentionPolicy(session.shop);
+
+  return {
+    conversationDays: policy ? policy.conversationDays : AppConfig.retention.conversationDays,
+    isDefault: !policy,
+    purgeIntervalMinutes: AppConfig.retention.purgeIntervalMinutes,
+    schedulerEnabled: AppConfig.retention.schedulerEnabled,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const value = formData.get("conversationDays")?.trim();
+  const conversationDays = Number(value);
+
+  // Number("") is 0, which would turn retention off for a cleared field
+  if (!value || !Number.isInteger(conversationDays) || conversationDays < 0 || conversationDays > MAX_CONVERSATION_DAYS) {
+    return { error: `Enter a whole number of days between 0 and ${MAX_CONVERSATION_DAYS}` };
+  }
+
+  await storeRetentionPolicy(session.shop, conversationDays);
+
+  return { saved: true };
+};
+
+export default function Retention() {
+  const { conversationDays, isDefault, purgeIntervalMinutes, schedulerEnabled } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [days, setDays] = useState(String(conversationDays));
+
+  return (
+    <Page>
+      <TitleBar title="Data retention" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="post">
+              <BlockStack gap="300">
+                {actionData?.saved && (
+                  <Banner tone="success">Retention period saved.</Banner>
+                )}
+                <TextField
+                  label="Delete conversations after (days without activity)"
+                  name="conversationDays"
+                  type="number"
+                  min={0}
+                  max={MAX_CONVERSATION_DAYS}
+                  value={days}
+                  onChange={setDays}
+                  error={actionData?.error}
+                  helpText={
+                    isDefault
+                      ? "Using the app default. Enter 0 to keep conversations forever."
+                      : "Enter 0 to keep conversations forever."
+                  }
+                  autoComplete="off"
+                />
+                <Text variant="bodyMd" as="p" tone="subdued">
+                  Messages and customer account tokens of a deleted conversation are deleted with it, unless the customer is still signed in to a newer conversation.
+                  Expired customer account tokens that can no longer be refreshed and unfinished sign-ins are removed on every purge.
+                </Text>
+                <Button submit variant="primary" loading={navigation.state === "submitting"}>
+                  Save
+                </Button>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Purge job
+              </Text>
+              <Text variant="bodyMd" as="p">
+                {schedulerEnabled
+                  ? `Runs every ${purgeIntervalMinutes} minutes.`
+                  : "Runs outside the app with npm run purge."}
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -1,5 +1,5 @@
-import { json } from "@remix-run/node";
-import { getCodeVerifier, storeCustomerToken } from "../db.server";
+import { getCodeVerifier, getConversation, storeCustomerToken, linkConversationToIdentity } from "../db.server";
+import { createCustomerIdentityService } from "../services/customer-identity.server";
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -8,15 +8,29 @@ export async function loader({ request }) {
   const url = new URL(request.url);
   const code = url.searchParams.get("code");
   const state = url.searchParams.get("state");
-  const [conversationId, shopId] = state.split("-");
 
-  if (!code) {
-    return json({ error: "Authorization code is missing" }, { status: 400 });
+  // The customer declined or the authorization server rejected the request
+  if (url.searchParams.get("error")) {
+    console.error("Authorization failed:", url.searchParams.get("error"), url.searchParams.get("error_description"));
+    return errorPage("Login was cancelled or failed. Close this window and try again from the chat.", 400);
   }
 
+  if (!code || !state) {
+    return errorPage("The login response is incomplete. Close this window and try again from the chat.", 400);
+  }
+
+  // The state is opaque, the verifier stored when the flow started tells which shop and
+  // conversation it belongs to. Unknown, used and expired states are rejected
+  const verifierRecord = await getCodeVerifier(state);
+  if (!verifierRecord || !verifierRecord.conversationId) {
+    return errorPage("This login link is invalid or has expired. Close this window and try again from the chat.", 400);
+  }
+
+  const { shop, conversationId } = verifierRecord;
+
   try {
     // Exchange code for access token
-    const tokenResponse = await exchangeCodeForToken(code, state);
+    const tokenResponse = await exchangeCodeForToken(code, verifierRecord);
 
     // Store token in database
     try {
@@ -24,17 +38,37 @@ export async function loader({ request }) {
       const expiresAt = new Date();
       expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
 
-      // Store in database with conversation ID
+      // Resolve who logged in, so the customer's next conversations can reuse this token
+      const identity = await createCustomerIdentityService().identifyCustomer(
+        shop,
+        conversationId,
+        tokenResponse.access_token
+      );
+
+      // Store in database with conversation ID, and the customer the conversation belongs to
+      const conversation = await getConversation(shop, conversationId);
       await storeCustomerToken(
+        shop,
         conversationId,
         tokenResponse.access_token,
-        expiresAt
+        expiresAt,
+        {
+          // Lets the MCP client renew the access token without asking the customer to log in again
+          refreshToken: tokenResponse.refresh_token || null,
+          customerId: identity?.customerId || conversation?.customerId || null,
+          identityId: identity?.id || null
+        }
       );
 
+      if (identity) {
+        await linkConversationToIdentity(shop, conversationId, identity);
+      }
+
       console.log('Stored customer token in database for conversation:', conversationId);
     } catch (error) {
       console.error('Failed to store token in database:', error);
-      // Continue anyway to not disrupt user flow
+      // The chat can't use a token it can't find, don't tell the customer they're signed in
+      return errorPage("We couldn't save your login. Close this window and try again from the chat.", 500);
     }
 
     // Instead of redirecting, return HTML that auto-closes the tab
@@ -56,7 +90,7 @@ export async function loader({ request }) {
           }
         </script>
         <style>
-          body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }
+          ${PAGE_STYLES}
           #message { display: none; }
           #fallback { display: none; margin-top: 20px; }
           .success { color: green; font-size: 18px; }
@@ -80,19 +114,52 @@ export async function loader({ request }) {
     });
   } catch (error) {
     console.error("Error exchanging code for token:", error);
-    console.log("shopId", shopId);
-    return json({ error: "Failed to obtain access token" }, { status: 500 });
+    console.log("shopId", verifierRecord.shopId);
+    return errorPage("We couldn't complete your login. Close this window and try again from the chat.", 500);
   }
 }
 
+const PAGE_STYLES = "body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }";
+
+/**
+ * Render the page shown when the login can't be completed
+ * @param {string} message - What went wrong and what the customer can do, plain text
+ * @param {number} status - The HTTP status code
+ * @returns {Response} - The HTML error page
+ */
+function errorPage(message, status) {
+  return new Response(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Authentication Failed</title>
+        <style>
+          ${PAGE_STYLES}
+          .error { color: #b42318; font-size: 18px; }
+        </style>
+      </head>
+      <body>
+        <h2>Authentication Failed</h2>
+        <p class="error">${message}</p>
+      </body>
+      </html>
+    `, {
+    status,
+    headers: {
+      "Content-Type": "text/html"
+    }
+  });
+}
+
 /**
  * Exchange authorization code for access token
  * @param {string} code - The authorization code
+ * @param {Object} verifierRecord - The code verifier stored for the state, with the shop and conversation
  * @returns {Promise<Object>} - The token response
  */
-async function exchangeCodeForToken(code, state) {
+async function exchangeCodeForToken(code, verifierRecord) {
   const clientId = process.env.SHOPIFY_API_KEY;
-  const [conversationId, shopId] = state.split("-");
+  const { conversationId, shopId } = verifierRecord;
   if (!clientId || !shopId) {
     throw new Error("SHOPIFY_CLIENT_ID and SHOPIFY_SHOP_ID environment variables are required");
   }
@@ -100,39 +167,21 @@ async function exchangeCodeForToken(code, state) {
   const redirectUri = process.env.REDIRECT_URL;
 
   // Correct token URL format
-  const tokenUrl = await getTokenUrl(shopId, conversationId);
+  const tokenUrl = await getTokenUrl(verifierRecord.shop, conversationId);
 
   if (!tokenUrl) {
     throw new Error("Token URL not found");
   }
 
-  // Get the code verifier that corresponds to this authorization request from database
-  let codeVerifier = "";
-  try {
-    const verifierRecord = await getCodeVerifier(state);
-    if (verifierRecord) {
-      codeVerifier = verifierRecord.verifier;
-    } else {
-      console.warn("Code verifier not found for state:", state);
-      // Proceed anyway, since we might be using an older flow without PKCE
-    }
-  } catch (error) {
-    console.error("Error retrieving code verifier:", error);
-    // Proceed anyway and attempt the token exchange
-  }
-
   const requestBody = {
     grant_type: "authorization_code",
     client_id: clientId,
     code: code,
-    redirect_uri: redirectUri
+    redirect_uri: redirectUri,
+    // The code verifier that corresponds to this authorization request
+    code_verifier: verifierRecord.verifier
   };
 
-  // Add code_verifier if we have it
-  if (codeVerifier) {
-    requestBody.code_verifier = codeVerifier;
-  }
-
   // Format the request as x-www-form-urlencoded instead of JSON
   const formData = new URLSearchParams();
   for (const [key, value] of Object.entries(requestBody)) {
@@ -159,13 +208,13 @@ async function exchangeCodeForToken(code, state) {
 
 /**
  * Get the token URL from the customer account URL
- * @param {string} shopId - The shop ID
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
  * @returns {Promise<string|null>} - The token URL or null if not found
  */
-async function getTokenUrl(shopId, conversationId) {
+async function getTokenUrl(shop, conversationId) {
   const { getCustomerAccountUrl } = await import('../db.server');
-  const customerAccountUrl = await getCustomerAccountUrl(conversationId);
+  const customerAccountUrl = await getCustomerAccountUrl(shop, conversationId);
   if (!customerAccountUrl) {
     console.error('Customer account URL not found for conversation:', conversationId);
     return null;
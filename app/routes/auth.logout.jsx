@@ -0,0 +1,79 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { verifyConversationToken, verifyIdentityToken } from "../services/conversation-token.server";
+import { createCustomerIdentityService } from "../services/customer-identity.server";
+
+/**
+ * API endpoint for signing a customer out of the chat, through the App Proxy
+ * Revokes and deletes the customer token of the conversation and of the customer identity, so neither
+ * the conversation nor any other conversation linked to the identity can use customer tools
+ */
+export async function action({ request }) {
+  if (request.method.toLowerCase() === "options") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405, headers: corsHeaders(request) });
+  }
+
+  const { shop } = await authenticateProxyRequest(request);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = {};
+  }
+
+  const conversationId = body.conversation_token ? verifyConversationToken(shop, body.conversation_token) : null;
+  const identityId = body.identity_token ? await verifyIdentityToken(shop, body.identity_token) : null;
+
+  if (!conversationId && !identityId) {
+    return json({
+      status: "error",
+      message: "A valid conversation_token or identity_token is required"
+    }, {
+      status: 401,
+      headers: corsHeaders(request)
+    });
+  }
+
+  try {
+    const { revoked, deleted } = await createCustomerIdentityService().signOut(shop, { conversationId, identityId });
+
+    return json({
+      status: "signed_out",
+      revoked,
+      removed: deleted
+    }, {
+      headers: corsHeaders(request)
+    });
+  } catch (error) {
+    console.error("Error signing out customer:", error);
+    return json({
+      status: "error",
+      message: "Failed to sign out"
+    }, {
+      status: 500,
+      headers: corsHeaders(request)
+    });
+  }
+}
+
+/**
+ * Helper to add CORS headers to the response
+ */
+function corsHeaders(request) {
+  const origin = request.headers.get("Origin") || "*";
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    "Access-Control-Max-Age": "86400"
+  };
+}
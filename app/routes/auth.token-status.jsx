@@ -1,34 +1,53 @@
 import { json } from "@remix-run/node";
-import { getCustomerToken } from "../db.server";
+import { getCustomerToken, getCustomerIdentity } from "../db.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { verifyConversationToken, signIdentityToken } from "../services/conversation-token.server";
 
 /**
- * API endpoint for checking if a customer token is available for a given conversation ID
- * The chat interface can poll this endpoint after displaying an auth link
+ * API endpoint for checking if a customer token is available for a given conversation
+ * The chat interface can poll this endpoint after displaying an auth link, through the App Proxy
  */
 export async function loader({ request }) {
-  // Get conversation ID from query parameter
+  const { shop } = await authenticateProxyRequest(request);
+
+  // Get conversation token from query parameter
   const url = new URL(request.url);
-  const conversationId = url.searchParams.get("conversation_id");
-  
-  if (!conversationId) {
+  const conversationToken = url.searchParams.get("conversation_token");
+
+  if (!conversationToken) {
     return json({ 
       status: "error", 
-      message: "Missing conversation_id parameter" 
+      message: "Missing conversation_token parameter" 
     }, { 
       status: 400,
       headers: corsHeaders(request)
     });
   }
 
+  const conversationId = verifyConversationToken(shop, conversationToken);
+
+  if (!conversationId) {
+    return json({
+      status: "error",
+      message: "Invalid conversation_token parameter"
+    }, {
+      status: 401,
+      headers: corsHeaders(request)
+    });
+  }
+
   try {
     // Check if a token exists for this conversation ID
-    const token = await getCustomerToken(conversationId);
+    const token = await getCustomerToken(shop, conversationId);
+    const identity = token?.identityId ? await getCustomerIdentity(shop, token.identityId) : null;
     
     if (token) {
-      // Token exists and is valid
+      // Token exists and is valid. The identity token lets the widget's next conversations
+      // use the same login, it's only handed out to conversations that already use it
       return json({
         status: "authorized",
-        expires_at: token.expiresAt.toISOString()
+        expires_at: token.expiresAt.toISOString(),
+        ...(identity ? { identity_token: signIdentityToken(shop, identity) } : {})
       }, {
         headers: corsHeaders(request)
       });
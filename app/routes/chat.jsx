@@ -4,12 +4,19 @@
  */
 import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
-import { saveMessage, getConversationHistory, storeCustomerAccountUrl, getCustomerAccountUrl } from "../db.server";
+import { saveMessage, createOrUpdateConversation, getConversation, getConversationHistory, storeCustomerAccountUrl, getCustomerAccountUrl } from "../db.server";
 import AppConfig from "../services/config.server";
 import { createSseStream } from "../services/streaming.server";
 import { createClaudeService } from "../services/claude.server";
 import { createToolService } from "../services/tool.server";
+import { createCustomerIdentityService } from "../services/customer-identity.server";
+import { eventBus, CUSTOMER_SIGNED_OUT } from "../services/event-bus.server";
+import { createMcpServerService } from "../services/mcp-servers.server";
+import { normalizeMoneyOptions } from "../services/money.server";
+import { t } from "../services/i18n.server";
 import { unauthenticated } from "../shopify.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { createConversationId, signConversationToken, verifyConversationToken } from "../services/conversation-token.server";
 
 
 /**
@@ -24,40 +31,62 @@ export async function loader({ request }) {
     });
   }
 
+  const { shop, customerId } = await authenticateProxyRequest(request);
   const url = new URL(request.url);
 
-  // Handle history fetch requests - matches /chat?history=true&conversation_id=XYZ
-  if (url.searchParams.has('history') && url.searchParams.has('conversation_id')) {
-    return handleHistoryRequest(request, url.searchParams.get('conversation_id'));
+  // Handle history fetch requests - matches /chat?history=true&conversation_token=XYZ
+  if (url.searchParams.has('history')) {
+    return handleHistoryRequest(request, shop, url.searchParams.get('conversation_token'));
   }
 
   // Handle SSE requests
   if (!url.searchParams.has('history') && request.headers.get("Accept") === "text/event-stream") {
-    return handleChatRequest(request);
+    return handleChatRequest(request, shop, customerId);
   }
 
   // API-only: reject all other requests
   return json(
-    { error: AppConfig.errorMessages.apiUnsupported },
+    { error: t('errorMessages.apiUnsupported') },
     { status: 400, headers: getCorsHeaders(request) }
   );
 }
 
 /**
  * Remix action function for handling POST requests
+ * Requests arrive through the App Proxy, which identifies the shop
  */
 export async function action({ request }) {
-  return handleChatRequest(request);
+  const { shop, customerId } = await authenticateProxyRequest(request);
+  return handleChatRequest(request, shop, customerId);
 }
 
 /**
  * Handle history fetch requests
  * @param {Request} request - The request object
- * @param {string} conversationId - The conversation ID
- * @returns {Response} JSON response with chat history
+ * @param {string} shop - The shop domain verified by the App Proxy
+ * @param {string} conversationToken - The conversation token issued with the conversation ID
+ * @returns {Response} JSON response with chat history, 401 for invalid tokens and 404 for unknown conversations
  */
-async function handleHistoryRequest(request, conversationId) {
-  const messages = await getConversationHistory(conversationId);
+async function handleHistoryRequest(request, shop, conversationToken) {
+  const conversationId = verifyConversationToken(shop, conversationToken);
+
+  if (!conversationId) {
+    return json(
+      { error: t('errorMessages.invalidConversationToken') },
+      { status: 401, headers: getCorsHeaders(request) }
+    );
+  }
+
+  const conversation = await getConversation(shop, conversationId);
+
+  if (!conversation) {
+    return json(
+      { error: "Conversation not found" },
+      { status: 404, headers: getCorsHeaders(request) }
+    );
+  }
+
+  const messages = await getConversationHistory(shop, conversationId);
 
   return json(
     { messages },
@@ -68,24 +97,44 @@ async function handleHistoryRequest(request, conversationId) {
 /**
  * Handle chat requests (both GET and POST)
  * @param {Request} request - The request object
+ * @param {string} shop - The shop domain verified by the App Proxy
+ * @param {string|null} customerId - The logged in storefront customer, null for guests
  * @returns {Response} Server-sent events stream
  */
-async function handleChatRequest(request) {
+async function handleChatRequest(request, shop, customerId) {
   try {
     // Get message data from request body
     const body = await request.json();
     const userMessage = body.message;
 
+    // Shopper locale, country and presentment currency for replies and product prices
+    const money = normalizeMoneyOptions({
+      locale: body.locale,
+      country: body.country,
+      currency: body.currency
+    });
+
     // Validate required message
     if (!userMessage) {
       return new Response(
-        JSON.stringify({ error: AppConfig.errorMessages.missingMessage }),
+        JSON.stringify({ error: t('errorMessages.missingMessage', money.locale) }),
         { status: 400, headers: getSseHeaders(request) }
       );
     }
 
-    // Generate or use existing conversation ID
-    const conversationId = body.conversation_id || Date.now().toString();
+    // Continue the conversation the token was issued for, or start a new one. Bare
+    // conversation IDs (including legacy numeric ones) are not accepted without a token
+    const conversationId = body.conversation_token || body.conversation_id
+      ? verifyConversationToken(shop, body.conversation_token)
+      : createConversationId();
+
+    if (!conversationId) {
+      return new Response(
+        JSON.stringify({ error: t('errorMessages.invalidConversationToken', money.locale) }),
+        { status: 401, headers: getSseHeaders(request) }
+      );
+    }
+
     const promptType = body.prompt_type || AppConfig.api.defaultPromptType;
 
     // Create a stream for the response
@@ -95,9 +144,14 @@ async function handleChatRequest(request) {
         userMessage,
         conversationId,
         promptType,
+        money,
+        shop,
+        customerId,
+        // Lets a customer who logged in from an earlier conversation skip logging in again
+        identityToken: body.identity_token || null,
         stream
       });
-    });
+    }, { locale: money.locale });
 
     return new Response(responseStream, {
       headers: getSseHeaders(request)
@@ -118,6 +172,10 @@ async function handleChatRequest(request) {
  * @param {string} params.userMessage - The user's message
  * @param {string} params.conversationId - The conversation ID
  * @param {string} params.promptType - The prompt type
+ * @param {Object} params.money - Shopper locale, country and currency for replies and product prices
+ * @param {string} params.shop - The shop domain verified by the App Proxy
+ * @param {string|null} params.customerId - The logged in storefront customer, null for guests
+ * @param {string|null} params.identityToken - The customer identity token the widget kept from an earlier login
  * @param {Object} params.stream - Stream manager for sending responses
  */
 async function handleChatSession({
@@ -125,49 +183,86 @@ async function handleChatSession({
   userMessage,
   conversationId,
   promptType,
+  money,
+  shop,
+  customerId,
+  identityToken,
   stream
 }) {
   // Initialize services
   const claudeService = createClaudeService();
-  const toolService = createToolService();
+  const toolService = createToolService({ ...money, shop });
 
   // Initialize MCP client
   const shopId = request.headers.get("X-Shopify-Shop-Id");
-  const shopDomain = request.headers.get("Origin");
-  const customerMcpEndpoint = await getCustomerMcpEndpoint(shopDomain, conversationId);
+  const shopDomain = `https://${shop}`;
+  const customerMcpEndpoint = await getCustomerMcpEndpoint(shop, conversationId);
   const mcpClient = new MCPClient(
     shopDomain,
     conversationId,
     shopId,
-    customerMcpEndpoint
+    customerMcpEndpoint,
+    {
+      locale: money.locale,
+      country: money.country,
+      // MCP requests fail fast once the turn ran out of time, so a hung server can't hold the stream open
+      signal: AbortSignal.timeout(AppConfig.mcp.timeouts.turnMs)
+    }
   );
 
+  // Stop using customer tools as soon as the customer signs out, even mid-turn
+  const unsubscribeSignOut = eventBus.subscribe(CUSTOMER_SIGNED_OUT, (event) => {
+    if (event.shop !== shop || !event.conversationIds.includes(conversationId)) return;
+
+    mcpClient.signOutCustomer();
+    stream.sendMessage({ type: 'customer_signed_out' });
+  });
+
   try {
-    // Send conversation ID to client
-    stream.sendMessage({ type: 'id', conversation_id: conversationId });
+    // Send conversation ID to client, the token is required to continue the conversation
+    stream.sendMessage({
+      type: 'id',
+      conversation_id: conversationId,
+      conversation_token: signConversationToken(shop, conversationId)
+    });
 
     // Connect to MCP servers and get available tools
     let storefrontMcpTools = [], customerMcpTools = [];
 
+    const connectStartedAt = Date.now();
+
     try {
       storefrontMcpTools = await mcpClient.connectToStorefrontServer();
       customerMcpTools = await mcpClient.connectToCustomerServer();
 
       console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
       console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
+      console.log(`Listed MCP tools in ${Date.now() - connectStartedAt}ms`);
     } catch (error) {
       console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
     }
 
+    // Tools of the MCP servers the merchant registered, servers that fail are left out
+    const additionalMcpTools = await createMcpServerService().connectServers(shop, mcpClient);
+    if (additionalMcpTools.length > 0) {
+      console.log(`Connected to merchant MCP servers with ${additionalMcpTools.length} tools`);
+    }
+
     // Prepare conversation state
     let conversationHistory = [];
     let productsToDisplay = [];
 
+    // Link the conversation to the logged in customer, so data requests and redactions find it
+    await createOrUpdateConversation(shop, conversationId, customerId);
+
+    // Use the customer's existing login for customer tools, if the widget has one
+    await createCustomerIdentityService().linkConversation(shop, conversationId, identityToken, customerId);
+
     // Save user message to the database
-    await saveMessage(conversationId, 'user', userMessage);
+    await saveMessage(shop, conversationId, 'user', userMessage);
 
     // Fetch all messages from the database for this conversation
-    const dbMessages = await getConversationHistory(conversationId);
+    const dbMessages = await getConversationHistory(shop, conversationId);
 
     // Format messages for Claude API
     conversationHistory = dbMessages.map(dbMessage => {
@@ -191,7 +286,8 @@ async function handleChatSession({
         {
           messages: conversationHistory,
           promptType,
-          tools: mcpClient.tools
+          tools: mcpClient.tools,
+          locale: money.locale
         },
         {
           // Handle text chunks
@@ -209,7 +305,7 @@ async function handleChatSession({
               content: message.content
             });
 
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
+            saveMessage(shop, conversationId, message.role, JSON.stringify(message.content))
               .catch((error) => {
                 console.error("Error saving message to database:", error);
               });
@@ -231,8 +327,19 @@ async function handleChatSession({
               tool_use_message: toolUseMessage
             });
 
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
+            // Call the tool, letting the shopper follow long calls
+            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs, {
+              onProgress: ({ progress, total, message }) => {
+                stream.sendMessage({
+                  type: 'tool_progress',
+                  tool_use_id: toolUseId,
+                  tool_name: toolName,
+                  progress,
+                  total,
+                  message
+                });
+              }
+            });
 
             // Handle tool response based on success/error
             if (toolUseResponse.error) {
@@ -285,19 +392,21 @@ async function handleChatSession({
   } catch (error) {
     // The streaming handler takes care of error handling
     throw error;
+  } finally {
+    unsubscribeSignOut();
   }
 }
 
 /**
  * Get the customer MCP endpoint for a shop
- * @param {string} shopDomain - The shop domain
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
  * @returns {string} The customer MCP endpoint
  */
-async function getCustomerMcpEndpoint(shopDomain, conversationId) {
+async function getCustomerMcpEndpoint(shop, conversationId) {
   try {
     // Check if the customer account URL exists in the DB
-    const existingUrl = await getCustomerAccountUrl(conversationId);
+    const existingUrl = await getCustomerAccountUrl(shop, conversationId);
 
     // If URL exists, return early with the MCP endpoint
     if (existingUrl) {
@@ -305,10 +414,7 @@ async function getCustomerMcpEndpoint(shopDomain, conversationId) {
     }
 
     // If not, query for it from the Shopify API
-    const { hostname } = new URL(shopDomain);
-    const { storefront } = await unauthenticated.storefront(
-      hostname
-    );
+    const { storefront } = await unauthenticated.storefront(shop);
 
     const response = await storefront.graphql(
       `#graphql
@@ -323,7 +429,7 @@ async function getCustomerMcpEndpoint(shopDomain, conversationId) {
     const customerAccountUrl = body.data.shop.customerAccountUrl;
 
     // Store the customer account URL with conversation ID in the DB
-    await storeCustomerAccountUrl(conversationId, customerAccountUrl);
+    await storeCustomerAccountUrl(shop, conversationId, customerAccountUrl);
 
     return `${customerAccountUrl}/customer/api/mcp`;
   } catch (error) {
@@ -6,9 +6,22 @@ import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
 import { getCustomerAccountUrl } from "../db.server";
 import AppConfig from "../services/config.server";
+import { createSseStream } from "../services/streaming.server";
 import { createClaudeService } from "../services/claude.server";
+import { createSearchClassifier } from "../services/search-classifier.server";
+import { searchCache } from "../services/search-cache.server";
+import { normalizeSearchFilters, buildCatalogFilters, extractFacets } from "../services/search-facets.server";
+import { searchSuggestService } from "../services/search-suggest.server";
+import { productRatings, normalizeRatingSource } from "../services/ratings.server";
+import { formatProductPrice, normalizeMoneyOptions } from "../services/money.server";
+import { t, getLanguageName } from "../services/i18n.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { createMcpServerService } from "../services/mcp-servers.server";
+import { createConversationId } from "../services/conversation-token.server";
 import { unauthenticated } from "../shopify.server";
 
+const searchClassifier = createSearchClassifier();
+
 /**
  * Remix loader function for handling GET requests
  */
@@ -23,24 +36,29 @@ export async function loader({ request }) {
 
   // API-only: reject GET requests
   return json(
-    { error: AppConfig.errorMessages.apiUnsupported },
+    { error: t('errorMessages.apiUnsupported') },
     { status: 400, headers: getCorsHeaders(request) }
   );
 }
 
 /**
  * Remix action function for handling POST requests
+ * Requests arrive through the App Proxy, which identifies the shop
  */
 export async function action({ request }) {
-  return handleSearchRequest(request);
+  const { shop } = await authenticateProxyRequest(request);
+  return handleSearchRequest(request, shop);
 }
 
 /**
  * Handle search requests
+ * Responds with a JSON envelope by default, or streams each result as a server-sent
+ * event when the client sends `Accept: text/event-stream`
  * @param {Request} request - The request object
- * @returns {Response} JSON response with search results
+ * @param {string} shop - The shop domain verified by the App Proxy
+ * @returns {Response} JSON response or SSE stream with search results
  */
-async function handleSearchRequest(request) {
+async function handleSearchRequest(request, shop) {
   try {
     // Get search data from request body
     const body = await request.json();
@@ -49,6 +67,18 @@ async function handleSearchRequest(request) {
     const enableProducts = body.enableProducts !== false; // Default to true
     const enableFAQ = body.enableFAQ !== false; // Default to true
     const limit = body.limit || 4;
+    const filters = normalizeSearchFilters(body.filters);
+    const ratingSource = normalizeRatingSource(body.ratingMetafields);
+    const money = normalizeMoneyOptions({ locale: body.locale, country: body.country, currency: body.currency });
+    const wantsStream = request.headers.get("Accept") === "text/event-stream";
+
+    // Get shop domain
+    const shopDomain = `https://${shop}`;
+
+    // Continue a previous search from the cursor it returned
+    if (body.cursor) {
+      return handleNextPageRequest(request, { cursor: body.cursor, shop, shopDomain, shopId, limit, ratingSource, money, wantsStream });
+    }
 
     // Validate required query
     if (!query || !query.trim()) {
@@ -58,21 +88,43 @@ async function handleSearchRequest(request) {
       );
     }
 
-    console.log('Processing search request:', { query, shopId, enableProducts, enableFAQ, limit });
+    console.log('Processing search request:', { query, shopId, enableProducts, enableFAQ, limit, filters, wantsStream });
 
     // Generate conversation ID for this search session
-    const conversationId = Date.now().toString();
+    const conversationId = createConversationId();
     
-    // Get shop domain and customer MCP endpoint
-    const shopDomain = request.headers.get("Origin") || request.headers.get("Referer");
-    const customerMcpEndpoint = await getCustomerMcpEndpoint(shopDomain, conversationId);
+    // Serve repeated searches for the same shop and options from the cache
+    const cacheParams = { shop, query, enableProducts, enableFAQ, limit, filters, ratingSource, money };
+
+    // Count the query towards typeahead suggestions without delaying the search,
+    // filter changes re-send the same query so only unfiltered searches count
+    if (!filters) {
+      searchSuggestService.recordQuery(shop, query);
+    }
+    const cachedSearch = await searchCache.get(cacheParams);
+
+    if (cachedSearch) {
+      console.log('Search cache hit for query:', query);
+      const search = { ...cachedSearch, cache: 'hit' };
+      if (wantsStream) {
+        return createSearchStreamResponse(request, async () => search);
+      }
+      return createSearchJsonResponse(request, search);
+    }
+
+    const customerMcpEndpoint = await getCustomerMcpEndpoint(shop, conversationId);
 
     // Initialize MCP client
     const mcpClient = new MCPClient(
       shopDomain,
       conversationId,
       shopId,
-      customerMcpEndpoint
+      customerMcpEndpoint,
+      {
+        locale: money.locale,
+        country: money.country,
+        signal: AbortSignal.timeout(AppConfig.mcp.timeouts.turnMs)
+      }
     );
 
     // Initialize Claude service
@@ -82,24 +134,50 @@ async function handleSearchRequest(request) {
 
     try {
       // Connect to storefront MCP server to get available tools
+      const connectStartedAt = Date.now();
       storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
+      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools in ${Date.now() - connectStartedAt}ms`);
     } catch (error) {
       console.warn('Failed to connect to MCP servers, falling back to mock data:', error.message);
-      return json(await getMockSearchResults(query), { headers: getCorsHeaders(request) });
+      const getMockSearch = async () => ({ results: await getMockSearchResults(query), strategy: 'mock' });
+      if (wantsStream) {
+        return createSearchStreamResponse(request, getMockSearch);
+      }
+      return createSearchJsonResponse(request, await getMockSearch());
+    }
+
+    // Stream each result to the client as soon as it is extracted from a tool response
+    if (wantsStream) {
+      return createSearchStreamResponse(request, (onResult) => runCachedSearch(cacheParams, {
+        query,
+        claudeService,
+        mcpClient,
+        enableProducts,
+        enableFAQ,
+        limit,
+        filters,
+        shop,
+        ratingSource,
+        money,
+        onResult
+      }));
     }
 
-    // Execute search using Claude with MCP tools
-    const searchResults = await executeSearch({
+    // Execute search via the catalog fast path or Claude with MCP tools
+    const search = await runCachedSearch(cacheParams, {
       query,
       claudeService,
       mcpClient,
       enableProducts,
       enableFAQ,
-      limit
+      limit,
+      filters,
+      shop,
+      ratingSource,
+      money
     });
 
-    return json(searchResults, { headers: getCorsHeaders(request) });
+    return createSearchJsonResponse(request, search);
 
   } catch (error) {
     console.error('Error in search request handler:', error);
@@ -109,7 +187,7 @@ async function handleSearchRequest(request) {
       const body = await request.json().catch(() => ({}));
       const mockResults = await getMockSearchResults(body.query || "");
       console.log('Returning mock results due to error in main handler');
-      return json(mockResults, { headers: getCorsHeaders(request) });
+      return createSearchJsonResponse(request, { results: mockResults, strategy: 'mock' });
     } catch (mockError) {
       console.error('Error generating mock results:', mockError);
       return json(
@@ -123,12 +201,332 @@ async function handleSearchRequest(request) {
   }
 }
 
+/**
+ * Handle a request for the next page of a previous search
+ * @param {Request} request - The request object
+ * @param {Object} params - Page parameters
+ * @param {string} params.cursor - The `nextCursor` returned with the previous page
+ * @param {string} params.shop - The shop domain verified by the App Proxy
+ * @param {string} params.shopDomain - The shop URL
+ * @param {string} params.shopId - The shop ID
+ * @param {number} params.limit - Maximum number of results
+ * @param {Object} params.ratingSource - Metafields product ratings are read from
+ * @param {Object} params.money - Locale and currency prices are formatted in
+ * @param {boolean} params.wantsStream - Whether to respond with server-sent events
+ * @returns {Response} JSON response or SSE stream with the next page of results
+ */
+async function handleNextPageRequest(request, { cursor, shop, shopDomain, shopId, limit, ratingSource, money, wantsStream }) {
+  const position = decodeCursor(cursor);
+
+  if (!position) {
+    return json(
+      { error: "Invalid search cursor" },
+      { status: 400, headers: getCorsHeaders(request) }
+    );
+  }
+
+  let search;
+
+  if (position.type === 'set') {
+    // Results Claude found beyond the first page
+    const resultSet = await searchCache.getResultSet(shop, position.id);
+
+    if (!resultSet) {
+      return json(
+        { error: "Search cursor has expired" },
+        { status: 410, headers: getCorsHeaders(request) }
+      );
+    }
+
+    const end = position.offset + limit;
+    search = {
+      results: resultSet.slice(position.offset, end),
+      nextCursor: end < resultSet.length ? encodeCursor({ ...position, offset: end }) : null,
+      strategy: 'llm',
+      cache: 'hit'
+    };
+  } else {
+    // Next page straight from the catalog tool
+    const mcpClient = new MCPClient(shopDomain, createConversationId(), shopId, null, {
+      locale: money.locale,
+      country: money.country,
+      signal: AbortSignal.timeout(AppConfig.mcp.timeouts.turnMs)
+    });
+    const filters = normalizeSearchFilters(position.filters);
+    const { results, nextPage } = await executeFastSearch({
+      query: position.query,
+      mcpClient,
+      limit,
+      filters,
+      after: position.after,
+      shop,
+      ratingSource,
+      money
+    });
+
+    search = {
+      results,
+      nextCursor: await createNextCursor(shop, position.query, nextPage, filters),
+      strategy: 'fast',
+      cache: 'miss'
+    };
+  }
+
+  if (wantsStream) {
+    return createSearchStreamResponse(request, async () => search);
+  }
+  return createSearchJsonResponse(request, search);
+}
+
+/**
+ * Create a JSON response for a completed search
+ * @param {Request} request - The request object
+ * @param {Object} search - Search outcome
+ * @param {Array} search.results - Search results formatted for the widget
+ * @param {string} search.strategy - How the results were produced (fast, llm or mock)
+ * @param {string} [search.nextCursor] - Cursor for the next page, null on the last page
+ * @param {Array} [search.facets] - Facet values with counts for the filter bar
+ * @param {string} [search.cache] - Whether the results came from the cache (hit or miss)
+ * @returns {Response} JSON response with the results, next cursor, facets and metadata
+ */
+function createSearchJsonResponse(request, { results, strategy, nextCursor = null, facets = [], cache = 'miss' }) {
+  const body = {
+    results,
+    nextCursor,
+    facets,
+    meta: { strategy, cache }
+  };
+
+  return json(body, {
+    headers: {
+      ...getCorsHeaders(request),
+      "X-Search-Strategy": strategy,
+      "X-Search-Cache": cache
+    }
+  });
+}
+
+/**
+ * Create an SSE response that streams search results as they are produced
+ * Sends a `result` event per search result followed by a final `done` event
+ * @param {Request} request - The request object
+ * @param {Function} produceResults - Async function that receives an `onResult` callback and resolves to the search outcome
+ * @returns {Response} Server-sent events stream
+ */
+function createSearchStreamResponse(request, produceResults) {
+  const responseStream = createSseStream(async (stream) => {
+    const streamedResults = [];
+    const onResult = (result) => {
+      streamedResults.push(result);
+      stream.sendMessage({ type: 'result', result });
+    };
+
+    const { results, strategy, nextCursor = null, facets = [], cache = 'miss' } = await produceResults(onResult);
+
+    // Fallback results (mock data) are returned in bulk rather than through onResult
+    for (const result of results) {
+      if (!streamedResults.includes(result)) {
+        onResult(result);
+      }
+    }
+
+    stream.sendMessage({ type: 'done', count: streamedResults.length, nextCursor, facets, strategy, cache });
+  });
+
+  return new Response(responseStream, {
+    headers: getSseHeaders(request)
+  });
+}
+
+/**
+ * Run a search and cache the outcome, skipping mock fallbacks and failed catalog searches so they expire with the outage
+ * @param {Object} cacheParams - Parameters identifying the search in the cache
+ * @param {Object} searchParams - Parameters passed to runSearch
+ * @returns {Promise<Object>} Search outcome with `results`, `nextCursor`, `facets`, `strategy` and `cache`
+ */
+async function runCachedSearch(cacheParams, searchParams) {
+  const { results, strategy, nextPage, facets = [], failed = false } = await runSearch(searchParams);
+
+  if (strategy === 'mock' || failed) {
+    return { results, strategy, nextCursor: null, facets, cache: 'miss' };
+  }
+
+  const search = {
+    results,
+    nextCursor: await createNextCursor(cacheParams.shop, searchParams.query, nextPage, searchParams.filters),
+    facets,
+    strategy
+  };
+  await searchCache.set(cacheParams, search);
+
+  return { ...search, cache: 'miss' };
+}
+
+/**
+ * Create the cursor clients send back to fetch the page after the current one
+ * @param {string} shop - The shop hostname
+ * @param {string} query - The search query
+ * @param {Object|null} nextPage - Next page details from the search
+ * @param {Array} [nextPage.overflow] - Results found beyond the current page
+ * @param {string} [nextPage.after] - Catalog tool cursor for the next page
+ * @param {Object|null} [filters] - Filters applied to the catalog search
+ * @returns {Promise<string|null>} The encoded cursor, or null on the last page
+ */
+async function createNextCursor(shop, query, nextPage, filters = null) {
+  if (nextPage?.overflow?.length > 0) {
+    const resultSetId = await searchCache.storeResultSet(shop, nextPage.overflow);
+    return encodeCursor({ type: 'set', id: resultSetId, offset: 0 });
+  }
+
+  if (nextPage?.after) {
+    return encodeCursor({ type: 'catalog', query, after: nextPage.after, filters });
+  }
+
+  return null;
+}
+
+/**
+ * Encode a search cursor
+ * @param {Object} position - Where the next page starts
+ * @returns {string} Opaque cursor string
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a search cursor
+ * @param {string} cursor - Opaque cursor string
+ * @returns {Object|null} Where the next page starts, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (position.type === 'set' && typeof position.id === 'string' && Number.isInteger(position.offset)) {
+      return position;
+    }
+    if (position.type === 'catalog' && typeof position.query === 'string' && position.after) {
+      return position;
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a search, using the catalog fast path when the classifier allows it
+ * Falls back to Claude when the query needs interpretation or the fast path finds nothing
+ * @param {Object} params - Search parameters
+ * @param {Object|null} [params.filters] - Structured filters; when set only the catalog is queried
+ * @param {string} params.shop - The shop hostname, used to look up product ratings
+ * @param {Object} params.ratingSource - Metafields product ratings are read from
+ * @param {Object} params.money - Locale and currency prices are formatted in
+ * @param {Function} [params.onResult] - Called with each result as soon as it is extracted
+ * @returns {Promise<Object>} Search outcome with `results`, `nextPage`, `facets`, `strategy` and whether the catalog search `failed`
+ */
+async function runSearch({ query, claudeService, mcpClient, enableProducts, enableFAQ, limit, filters, shop, ratingSource, money, onResult }) {
+  // Narrowing results with filters re-queries the catalog without re-prompting Claude
+  if (filters) {
+    const { results, nextPage, facets, failed } = await executeFastSearch({ query, mcpClient, limit, filters, shop, ratingSource, money, onResult });
+    return { results, nextPage, facets, strategy: 'fast', failed };
+  }
+
+  const classification = searchClassifier.classify(query);
+
+  if (enableProducts && !classification.useLLM) {
+    const { results, nextPage, facets } = await executeFastSearch({ query, mcpClient, limit, shop, ratingSource, money, onResult });
+
+    if (results.length > 0) {
+      return { results, nextPage, facets, strategy: 'fast' };
+    }
+
+    console.log('Fast path returned no results, falling back to Claude');
+  } else {
+    console.log('Routing search query to Claude:', classification.reason);
+  }
+
+  // Only Claude can use the tools of the MCP servers the merchant registered, servers that fail are left out
+  const additionalMcpTools = await createMcpServerService().connectServers(shop, mcpClient);
+  if (additionalMcpTools.length > 0) {
+    console.log(`Connected to merchant MCP servers with ${additionalMcpTools.length} tools`);
+  }
+
+  return executeSearch({ query, claudeService, mcpClient, enableProducts, enableFAQ, limit, shop, ratingSource, money, onResult });
+}
+
+/**
+ * Execute search by calling the storefront catalog tool directly, without Claude
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - User search query
+ * @param {MCPClient} params.mcpClient - Connected MCP client
+ * @param {number} params.limit - Maximum number of results
+ * @param {Object|null} [params.filters] - Normalized filters passed to the catalog tool
+ * @param {string} [params.after] - Catalog cursor to continue from
+ * @param {string} params.shop - The shop hostname, used to look up product ratings
+ * @param {Object} params.ratingSource - Metafields product ratings are read from
+ * @param {Object} params.money - Locale and currency prices are formatted in
+ * @param {Function} [params.onResult] - Called with each result as soon as it is extracted
+ * @returns {Promise<Object>} Search results formatted for the widget (empty if the search `failed`), `nextPage` and `facets`
+ */
+async function executeFastSearch({ query, mcpClient, limit, filters, after, shop, ratingSource, money, onResult }) {
+  const toolName = AppConfig.tools.productSearchName;
+  const toolArgs = {
+    query,
+    context: `A shopper searched the storefront for "${query}" while browsing in ${getLanguageName(money.locale)}`,
+    limit
+  };
+
+  if (filters) {
+    toolArgs.filters = buildCatalogFilters(filters);
+  }
+
+  if (after) {
+    toolArgs.after = after;
+  }
+
+  try {
+    console.log('Executing fast path search for query:', query);
+    const toolResponse = await mcpClient.callStorefrontTool(toolName, toolArgs);
+
+    if (toolResponse.error || toolResponse.isError) {
+      console.error(`Tool ${toolName} returned error:`, toolResponse.error || toolResponse.content);
+      return { results: [], nextPage: null, facets: [], failed: true };
+    }
+
+    const results = processToolResponses(
+      [{ tool: toolName, args: toolArgs, response: toolResponse }],
+      true,
+      false,
+      limit,
+      money
+    );
+    await productRatings.attachRatings(shop, results, ratingSource);
+    results.forEach((result) => onResult?.(result));
+
+    return {
+      results,
+      nextPage: getCatalogNextPage(toolResponse),
+      facets: extractFacets(parseToolContent(toolResponse.content), money.locale),
+      failed: false
+    };
+  } catch (error) {
+    console.error('Error executing fast path search:', error);
+    return { results: [], nextPage: null, facets: [], failed: true };
+  }
+}
+
 /**
  * Execute search using Claude and MCP tools
  * @param {Object} params - Search parameters
- * @returns {Array} Search results formatted for the widget
+ * @param {string} params.shop - The shop hostname, used to look up product ratings
+ * @param {Object} params.ratingSource - Metafields product ratings are read from
+ * @param {Object} params.money - Locale and currency prices are formatted in
+ * @param {Function} [params.onResult] - Called with each result as soon as it is extracted
+ * @returns {Promise<Object>} Search outcome with `results`, `nextPage`, `facets` and `strategy`
  */
-async function executeSearch({ query, claudeService, mcpClient, enableProducts, enableFAQ, limit }) {
+async function executeSearch({ query, claudeService, mcpClient, enableProducts, enableFAQ, limit, shop, ratingSource, money, onResult }) {
   // Build search prompt for Claude
   const searchPrompt = buildSearchPrompt(query, enableProducts, enableFAQ, limit);
   
@@ -140,8 +538,10 @@ async function executeSearch({ query, claudeService, mcpClient, enableProducts,
     }
   ];
 
-  let searchResults = [];
-  let toolCalls = [];
+  const searchResults = [];
+  const overflowResults = [];
+  const toolCalls = [];
+  let facets = [];
 
   try {
     console.log('Starting Claude conversation for search query:', query);
@@ -149,17 +549,18 @@ async function executeSearch({ query, claudeService, mcpClient, enableProducts,
     // Check if we have any tools available
     if (!mcpClient.tools || mcpClient.tools.length === 0) {
       console.warn('No MCP tools available, falling back to mock results');
-      return await getMockSearchResults(query);
+      return { results: await getMockSearchResults(query), strategy: 'mock' };
     }
 
-    console.log(`Available MCP tools: ${mcpClient.tools.map(t => t.name).join(', ')}`);
+    console.log(`Available MCP tools: ${mcpClient.tools.map(tool => tool.name).join(', ')}`);
 
     // Stream conversation with Claude to get tool calls
     const response = await claudeService.streamConversation(
       {
         messages: conversation,
         promptType: 'search',
-        tools: mcpClient.tools
+        tools: mcpClient.tools,
+        locale: money.locale
       },
       {
         onText: (textDelta) => {
@@ -185,11 +586,29 @@ async function executeSearch({ query, claudeService, mcpClient, enableProducts,
               console.error(`Tool ${toolName} returned error:`, toolResponse.error);
             } else if (toolResponse.content) {
               console.log(`Tool ${toolName} returned content:`, typeof toolResponse.content === 'string' ? toolResponse.content.substring(0, 200) + '...' : toolResponse.content);
-              toolCalls.push({
+              const toolCall = {
                 tool: toolName,
                 args: toolArgs,
                 response: toolResponse
-              });
+              };
+              toolCalls.push(toolCall);
+
+              if (toolName === AppConfig.tools.productSearchName) {
+                facets = extractFacets(parseToolContent(toolResponse.content), money.locale);
+              }
+
+              // Extract results from this tool call right away so they can be streamed,
+              // keeping anything beyond the first page for "load more"
+              const newResults = processToolResponses([toolCall], enableProducts, enableFAQ, AppConfig.search.maxResultSetSize, money);
+              await productRatings.attachRatings(shop, newResults, ratingSource);
+              for (const result of newResults) {
+                if (searchResults.length < limit) {
+                  searchResults.push(result);
+                  onResult?.(result);
+                } else if (overflowResults.length < AppConfig.search.maxResultSetSize) {
+                  overflowResults.push(result);
+                }
+              }
             } else {
               console.warn(`Tool ${toolName} returned no content`);
             }
@@ -201,25 +620,21 @@ async function executeSearch({ query, claudeService, mcpClient, enableProducts,
     );
 
     console.log(`Completed Claude conversation. Tool calls made: ${toolCalls.length}`);
-
-    // Process tool responses to extract search results
-    searchResults = processToolResponses(toolCalls, enableProducts, enableFAQ, limit);
-    
     console.log(`Processed ${toolCalls.length} tool responses into ${searchResults.length} search results`);
 
     // If no results found through tools, return mock results
     if (searchResults.length === 0) {
       console.log('No results found through MCP tools, falling back to mock results');
-      return await getMockSearchResults(query);
+      return { results: await getMockSearchResults(query), strategy: 'mock' };
     }
     
   } catch (error) {
     console.error('Error executing search with Claude:', error);
     console.log('Falling back to mock results due to Claude error');
-    return await getMockSearchResults(query);
+    return { results: await getMockSearchResults(query), strategy: 'mock' };
   }
 
-  return searchResults;
+  return { results: searchResults, nextPage: { overflow: overflowResults }, facets, strategy: 'llm' };
 }
 
 /**
@@ -257,9 +672,10 @@ Please use the available tools to search for relevant results.`;
  * @param {boolean} enableProducts - Whether products are enabled
  * @param {boolean} enableFAQ - Whether FAQ is enabled
  * @param {number} limit - Maximum number of results
+ * @param {Object} money - Locale and currency prices are formatted in
  * @returns {Array} Formatted search results
  */
-function processToolResponses(toolCalls, enableProducts, enableFAQ, limit) {
+function processToolResponses(toolCalls, enableProducts, enableFAQ, limit, money) {
   const results = [];
   
   for (const toolCall of toolCalls) {
@@ -269,14 +685,7 @@ function processToolResponses(toolCalls, enableProducts, enableFAQ, limit) {
       if (!response.content) continue;
       
       // Parse the response content
-      let content;
-      try {
-        content = typeof response.content === 'string' 
-          ? JSON.parse(response.content) 
-          : response.content;
-      } catch (e) {
-        content = response.content;
-      }
+      const content = parseToolContent(response.content);
       
       // Process different types of tool responses
       if (tool.includes('search') || tool.includes('product')) {
@@ -286,14 +695,18 @@ function processToolResponses(toolCalls, enableProducts, enableFAQ, limit) {
           
           for (const product of products) {
             if (results.length >= limit) break;
+
+            const { price, compareAtPrice } = formatProductPrice(product, money);
             
             results.push({
               type: 'product',
-              id: product.id || `product_${results.length}`,
+              id: product.id || product.product_id || `product_${results.length}`,
               name: product.title || product.name || 'Product',
-              price: formatPrice(product.priceRange || product.price),
+              price,
+              compareAtPrice,
               image: getProductImage(product),
-              rating: 4.5, // Default rating since Shopify doesn't provide this
+              rating: null, // Set from product metafields by productRatings.attachRatings
+              ratingCount: null,
               description: product.description || product.excerpt || '',
               handle: product.handle,
               url: product.url || `/products/${product.handle}`
@@ -328,24 +741,44 @@ function processToolResponses(toolCalls, enableProducts, enableFAQ, limit) {
 }
 
 /**
- * Format price from Shopify price range or simple price
- * @param {Object|string|number} price - Price data
- * @returns {string} Formatted price string
+ * Parse the content of an MCP tool response
+ * MCP tools return an array of content blocks whose text is usually JSON
+ * @param {Array|Object|string} rawContent - Raw tool response content
+ * @returns {Object|string} Parsed content
  */
-function formatPrice(price) {
-  if (!price) return 'Price not available';
-  
-  if (typeof price === 'object' && price.minVariantPrice) {
-    const amount = price.minVariantPrice.amount;
-    const currency = price.minVariantPrice.currencyCode || 'USD';
-    return `${currency} ${parseFloat(amount).toFixed(2)}`;
+function parseToolContent(rawContent) {
+  const content = Array.isArray(rawContent) && rawContent[0]?.type === 'text'
+    ? rawContent[0].text
+    : rawContent;
+
+  if (typeof content !== 'string') {
+    return content;
   }
-  
-  if (typeof price === 'string' || typeof price === 'number') {
-    return `$${parseFloat(price).toFixed(2)}`;
+
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    return content;
   }
-  
-  return 'Price not available';
+}
+
+/**
+ * Get pagination details from a catalog tool response
+ * @param {Object} toolResponse - The catalog tool response
+ * @returns {Object|null} Next page details with the catalog `after` cursor, or null on the last page
+ */
+function getCatalogNextPage(toolResponse) {
+  const content = parseToolContent(toolResponse.content);
+  const pageInfo = content?.pagination || content?.pageInfo || content?.page_info;
+
+  if (!pageInfo) {
+    return null;
+  }
+
+  const after = pageInfo.endCursor || pageInfo.end_cursor || pageInfo.nextCursor || pageInfo.next_cursor;
+  const hasNextPage = pageInfo.hasNextPage ?? pageInfo.has_next_page ?? Boolean(after);
+
+  return hasNextPage && after ? { after } : null;
 }
 
 /**
@@ -365,6 +798,10 @@ function getProductImage(product) {
   if (product.image) {
     return typeof product.image === 'string' ? product.image : product.image.url;
   }
+
+  if (product.image_url) {
+    return product.image_url;
+  }
   
   // Return a placeholder SVG if no image found
   return `data:image/svg+xml;base64,${btoa(`
@@ -382,14 +819,14 @@ function getProductImage(product) {
 
 /**
  * Get the customer MCP endpoint for a shop
- * @param {string} shopDomain - The shop domain
+ * @param {string} shop - The shop domain
  * @param {string} conversationId - The conversation ID
  * @returns {string} The customer MCP endpoint
  */
-async function getCustomerMcpEndpoint(shopDomain, conversationId) {
+async function getCustomerMcpEndpoint(shop, conversationId) {
   try {
     // Check if the customer account URL exists in the DB
-    const existingUrl = await getCustomerAccountUrl(conversationId);
+    const existingUrl = await getCustomerAccountUrl(shop, conversationId);
 
     // If URL exists, return early with the MCP endpoint
     if (existingUrl) {
@@ -397,8 +834,7 @@ async function getCustomerMcpEndpoint(shopDomain, conversationId) {
     }
 
     // If not, query for it from the Shopify API
-    const { hostname } = new URL(shopDomain);
-    const { storefront } = await unauthenticated.storefront(hostname);
+    const { storefront } = await unauthenticated.storefront(shop);
 
     const response = await storefront.graphql(
       `#graphql
@@ -522,6 +958,21 @@ function getCorsHeaders(request) {
     "Access-Control-Allow-Headers": "Content-Type, Accept, Origin, Authorization, X-Requested-With",
     "Access-Control-Allow-Credentials": "true",
     "Access-Control-Max-Age": "86400", // 24 hours
+    "Access-Control-Expose-Headers": "X-Search-Strategy, X-Search-Cache",
     "Vary": "Origin"
   };
-} 
\ No newline at end of file
+} 
+
+/**
+ * Get SSE headers for the response
+ * @param {Request} request - The request object
+ * @returns {Object} SSE headers object
+ */
+function getSseHeaders(request) {
+  return {
+    ...getCorsHeaders(request),
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  };
+}
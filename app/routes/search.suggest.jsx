@@ -0,0 +1,77 @@
+/**
+ * Search Suggest API Route
+ * Serves typeahead suggestions for the search widget without calling Claude
+ */
+import { json } from "@remix-run/node";
+import { searchSuggestService } from "../services/search-suggest.server";
+import { normalizeMoneyOptions } from "../services/money.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+
+/**
+ * Remix loader function for handling GET requests
+ * Expects the partial query in the `q` search param, and optionally the shopper's
+ * `locale`, `country` and `currency` for product prices. Requests arrive through the
+ * App Proxy, which identifies the shop
+ */
+export async function loader({ request }) {
+  // Handle OPTIONS requests (CORS preflight)
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  const { shop } = await authenticateProxyRequest(request);
+
+  const url = new URL(request.url);
+  const query = url.searchParams.get("q") || "";
+  const money = normalizeMoneyOptions({
+    locale: url.searchParams.get("locale"),
+    country: url.searchParams.get("country"),
+    currency: url.searchParams.get("currency")
+  });
+
+  try {
+    const suggestions = await searchSuggestService.getSuggestions({ shop, query, money });
+
+    return json(suggestions, { headers: getCorsHeaders(request) });
+  } catch (error) {
+    console.error('Error in search suggest request:', error);
+    return json(
+      { queries: [], products: [], popular: [] },
+      { headers: getCorsHeaders(request) }
+    );
+  }
+}
+
+/**
+ * Gets CORS headers for the response
+ * @param {Request} request - The request object
+ * @returns {Object} CORS headers object
+ */
+function getCorsHeaders(request) {
+  const origin = request.headers.get("Origin") || request.headers.get("Referer");
+
+  // Allow requests from Shopify storefronts specifically
+  let allowedOrigin = "*";
+  if (origin) {
+    // Allow all myshopify.com domains and localhost for development
+    if (origin.includes('.myshopify.com') ||
+        origin.includes('localhost') ||
+        origin.includes('127.0.0.1') ||
+        origin.includes('ngrok') ||
+        origin.includes('trycloudflare.com')) {
+      allowedOrigin = origin;
+    }
+  }
+
+  return {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept, Origin, X-Requested-With",
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Max-Age": "86400", // 24 hours
+    "Vary": "Origin"
+  };
+}
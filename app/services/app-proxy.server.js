@@ -0,0 +1,32 @@
+/**
+ * App Proxy Service
+ * Verifies storefront requests forwarded by the Shopify App Proxy (/apps/ai-search)
+ */
+import { authenticate } from "../shopify.server";
+
+/**
+ * Authenticates a request forwarded by the App Proxy
+ * Shopify signs the proxied query string with the app secret, so the shop and
+ * customer come from Shopify rather than from headers the browser controls
+ * @param {Request} request - The request object
+ * @returns {Promise<Object>} Proxy context with `shop` (myshopify domain), `customerId` (null for guests),
+ *   `storefront` client and offline `session`
+ * @throws {Response} 400 when the signature is missing, 401 when it is invalid
+ */
+export async function authenticateProxyRequest(request) {
+  const { session, storefront } = await authenticate.public.appProxy(request);
+
+  const url = new URL(request.url);
+  const shop = url.searchParams.get("shop");
+
+  return {
+    shop,
+    customerId: url.searchParams.get("logged_in_customer_id") || null,
+    storefront,
+    session
+  };
+}
+
+export default {
+  authenticateProxyRequest
+};
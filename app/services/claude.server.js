@@ -5,6 +5,7 @@
 import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
 import systemPrompts from "../prompts/prompts.json";
+import { getLanguageName } from "./i18n.server";
 
 /**
  * Creates a Claude service instance
@@ -21,6 +22,7 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
    * @param {Array} params.tools - Available tools for Claude
+   * @param {string} [params.locale] - Storefront locale Claude should reply in
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
@@ -30,10 +32,11 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    tools,
+    locale
   }, streamHandlers) => {
     // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    const systemInstruction = getSystemPrompt(promptType, locale);
 
     // Create stream
     const stream = await anthropic.messages.stream({
@@ -75,11 +78,22 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
   /**
    * Gets the system prompt content for a given prompt type
    * @param {string} promptType - The prompt type to retrieve
+   * @param {string} [locale] - Storefront locale, adds an instruction to reply in its language
    * @returns {string} The system prompt content
    */
-  const getSystemPrompt = (promptType) => {
-    return systemPrompts.systemPrompts[promptType]?.content ||
+  const getSystemPrompt = (promptType, locale) => {
+    const prompt = systemPrompts.systemPrompts[promptType]?.content ||
       systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+
+    if (!locale) {
+      return prompt;
+    }
+
+    const languageInstruction = systemPrompts.languageInstruction.content
+      .replaceAll('{language}', getLanguageName(locale))
+      .replaceAll('{locale}', locale);
+
+    return `${prompt}\n\n${languageInstruction}`;
   };
 
   return {
@@ -0,0 +1,121 @@
+/**
+ * Compliance Service
+ * Handles the mandatory customers/data_request, customers/redact and shop/redact webhooks,
+ * and removes a shop's data when the app is uninstalled
+ */
+import {
+  getCustomerConversations,
+  getCustomerTokensForCustomer,
+  deleteCustomerData,
+  deleteShopData,
+  storeDataRequestExport,
+  createAuditLogEntry
+} from "../db.server";
+import { searchCache } from "./search-cache.server";
+
+/**
+ * Creates a compliance service instance
+ * @returns {Object} Compliance service with methods for exporting and redacting data
+ */
+export function createComplianceService() {
+  /**
+   * Exports what is stored about a customer for a data request
+   * Customer access tokens are listed without their secrets
+   * @param {Object} params - Data request parameters
+   * @param {string} params.shop - The shop domain
+   * @param {string} params.customerId - The storefront customer ID
+   * @param {string|null} [params.dataRequestId] - The ID of the data request
+   * @returns {Promise<Object>} The saved export, its `payload` is the JSON bundle for the merchant
+   */
+  const exportCustomerData = async ({ shop, customerId, dataRequestId = null }) => {
+    const conversations = await getCustomerConversations(shop, customerId);
+    const customerTokens = await getCustomerTokensForCustomer(
+      shop,
+      customerId,
+      conversations.map(conversation => conversation.id)
+    );
+
+    const payload = {
+      shop,
+      customerId,
+      dataRequestId,
+      generatedAt: new Date().toISOString(),
+      conversations: conversations.map(conversation => ({
+        id: conversation.id,
+        createdAt: conversation.createdAt.toISOString(),
+        updatedAt: conversation.updatedAt.toISOString(),
+        messages: conversation.messages.map(message => ({
+          role: message.role,
+          content: message.content,
+          createdAt: message.createdAt.toISOString()
+        }))
+      })),
+      customerAccountTokens: customerTokens.map(token => ({
+        conversationId: token.conversationId,
+        createdAt: token.createdAt.toISOString(),
+        expiresAt: token.expiresAt.toISOString()
+      }))
+    };
+
+    return storeDataRequestExport(shop, customerId, dataRequestId, payload);
+  };
+
+  /**
+   * Deletes what is stored about a customer
+   * @param {string} shop - The shop domain
+   * @param {string} customerId - The storefront customer ID
+   * @returns {Promise<Object>} Number of deleted rows per table
+   */
+  const redactCustomer = async (shop, customerId) => {
+    const deleted = await deleteCustomerData(shop, customerId);
+    await createAuditLogEntry(shop, 'customer_redact', { customerId, deleted });
+
+    return deleted;
+  };
+
+  /**
+   * Deletes everything stored for a shop, sent 48 hours after the app is uninstalled
+   * @param {string} shop - The shop domain
+   * @returns {Promise<Object>} Number of deleted rows per table
+   */
+  const redactShop = async (shop) => {
+    return deleteShop(shop, 'shop_redact');
+  };
+
+  /**
+   * Deletes everything stored for a shop when it uninstalls the app
+   * @param {string} shop - The shop domain
+   * @returns {Promise<Object>} Number of deleted rows per table
+   */
+  const uninstallShop = async (shop) => {
+    return deleteShop(shop, 'app_uninstalled');
+  };
+
+  /**
+   * Deletes everything stored for a shop and records it in the audit log
+   * @param {string} shop - The shop domain
+   * @param {string} action - What caused the deletion
+   * @returns {Promise<Object>} Number of deleted rows per table
+   */
+  const deleteShop = async (shop, action) => {
+    const deleted = await deleteShopData(shop);
+
+    // The in-memory cache store doesn't live in the database
+    await searchCache.invalidateShop(shop);
+
+    await createAuditLogEntry(shop, action, { deleted });
+
+    return deleted;
+  };
+
+  return {
+    exportCustomerData,
+    redactCustomer,
+    redactShop,
+    uninstallShop
+  };
+}
+
+export default {
+  createComplianceService
+};
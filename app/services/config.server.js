@@ -11,21 +11,146 @@ export const AppConfig = {
     defaultPromptType: 'standardAssistant',
   },
 
-  // Error Message Templates
-  errorMessages: {
-    missingMessage: "Message is required",
-    apiUnsupported: "This endpoint only supports server-sent events (SSE) requests or history requests.",
-    authFailed: "Authentication failed with Claude API",
-    apiKeyError: "Please check your API key in environment variables",
-    rateLimitExceeded: "Rate limit exceeded",
-    rateLimitDetails: "Please try again later",
-    genericError: "Failed to get response from Claude"
-  },
+  // Error messages and other shopper-facing strings are translated in app/locales (see i18n.server.js)
 
   // Tool Configuration
   tools: {
     productSearchName: "search_shop_catalog",
     maxProductsToDisplay: 3
+  },
+
+  // Customer Account API tokens are refreshed this long before they expire.
+  // The API version is used to look up who logged in after the OAuth callback
+  customerAuth: {
+    refreshMarginSeconds: 60,
+    // How long a refresh token stays usable after the access token it came with expired
+    refreshTokenTtlDays: 30,
+    // Identity tokens let the widget reuse a login in new conversations, until they expire or the customer signs out
+    identityTokenTtlDays: 30,
+    customerAccountApiVersion: "2025-04"
+  },
+
+  // Model Context Protocol client, versions are listed newest first and the first one is requested
+  mcp: {
+    protocolVersions: ["2025-06-18", "2025-03-26", "2024-11-05"],
+    clientInfo: {
+      name: "shop-chat-agent",
+      version: "1.0.0"
+    },
+
+    // tools/list results, and the sessions of endpoints without customer credentials, are shared
+    // between requests until they expire or the server sends notifications/tools/list_changed
+    toolCatalog: {
+      enabled: process.env.MCP_TOOL_CACHE !== "false",
+      ttlSeconds: 300,
+      maxEntries: 500
+    },
+
+    // Keep-alive connections shared by every MCP request
+    http: {
+      connectionsPerOrigin: 16,
+      keepAliveTimeoutMs: 30000
+    },
+
+    // Deadlines of a single request, of a tool call, and of all MCP requests in one chat turn or search
+    timeouts: {
+      requestMs: 10000,
+      toolCallMs: 30000,
+      turnMs: 120000
+    },
+
+    // Idempotent requests such as tools/list are retried after timeouts, connection failures and
+    // 429/5xx responses, after a random delay of up to baseDelayMs that doubles per retry up to maxDelayMs
+    retries: {
+      maxAttempts: 3,
+      baseDelayMs: 200,
+      maxDelayMs: 2000
+    },
+
+    // An endpoint that fails this many times in a row gets no requests until resetSeconds passed,
+    // then one trial request decides whether it is used again
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetSeconds: 30
+    },
+
+    // Merchant registered MCP servers, the health status is written at most this often per server
+    additionalServers: {
+      maxPerShop: 10,
+      // Tools of the Shopify storefront and customer MCP servers, a prefix can't make names that clash with them
+      reservedToolNames: [
+        "search_shop_catalog",
+        "search_shop_policies_and_faqs",
+        "get_product_details",
+        "get_cart",
+        "update_cart",
+        "get_most_recent_order_status",
+        "get_order_status"
+      ],
+      statusUpdateIntervalSeconds: 60
+    }
+  },
+
+  // Price Formatting
+  money: {
+    defaultLocale: "en-US"
+  },
+
+  // Search Configuration
+  search: {
+    // Heuristics deciding when a query can skip Claude and hit the catalog directly
+    classifier: {
+      fastPathEnabled: process.env.SEARCH_FAST_PATH !== "false",
+      maxKeywordWords: 5,
+      questionWords: [
+        "what", "how", "why", "which", "when", "where", "who",
+        "can", "could", "do", "does", "is", "are", "should", "will", "would"
+      ],
+      comparisonTerms: ["vs", "versus", "compare", "comparison", "difference", "better", "best", "between"],
+      policyTerms: [
+        "return", "returns", "refund", "refunds", "exchange", "shipping", "delivery",
+        "policy", "policies", "warranty", "faq", "help", "contact", "payment", "track", "order"
+      ]
+    },
+
+    // Result cache, "memory" keeps an in-process LRU and "prisma" shares entries through the database
+    cache: {
+      enabled: process.env.SEARCH_CACHE !== "false",
+      driver: process.env.SEARCH_CACHE_DRIVER || "memory",
+      ttlSeconds: 300,
+      maxEntries: 500
+    },
+
+    // Upper bound on results kept for "load more" beyond the first page
+    maxResultSetSize: 50,
+
+    // Default product metafields holding ratings, "namespace.key"; the widget block can override them per shop
+    ratings: {
+      ratingMetafield: "reviews.rating",
+      countMetafield: "reviews.rating_count"
+    },
+
+    // Typeahead suggestions served by /search/suggest without calling Claude
+    suggest: {
+      minQueryLength: 2,
+      maxQueries: 5,
+      maxProducts: 4,
+      maxPopularQueries: 3,
+      // Queries searched fewer times are never shown to other shoppers, so one shopper's text can't leak
+      minPopularCount: 5,
+      ttlSeconds: 60,
+      maxEntries: 1000
+    }
+  },
+
+  // Data Retention
+  retention: {
+    // Conversations without activity for this many days are deleted, 0 keeps them forever;
+    // shops can override it on the app's Data retention page
+    conversationDays: 90,
+    // In-process purge of old conversations and expired tokens, disable it when running `npm run purge` from cron
+    schedulerEnabled: process.env.RETENTION_SCHEDULER !== "false",
+    purgeIntervalMinutes: 60
   }
 };
 
@@ -0,0 +1,157 @@
+/**
+ * Conversation Token Service
+ * Creates random conversation IDs and the signed tokens the widget presents to use them,
+ * and signs the customer identity tokens that let new conversations reuse a customer login
+ */
+import crypto from "crypto";
+import { getCustomerIdentity } from "../db.server";
+import AppConfig from "./config.server";
+
+// Conversation and customer identity IDs are random UUIDs, legacy IDs (Date.now() timestamps) are not accepted
+const CONVERSATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * Creates a new conversation ID
+ * @returns {string} A random UUID
+ */
+export function createConversationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Checks whether a value is a conversation ID created by createConversationId
+ * @param {string} conversationId - The value to check
+ * @returns {boolean} True for random UUIDs
+ */
+export function isConversationId(conversationId) {
+  return typeof conversationId === 'string' && CONVERSATION_ID_PATTERN.test(conversationId);
+}
+
+/**
+ * Signs a conversation ID for a shop
+ * The token is handed to the widget and proves it was issued the conversation,
+ * a token issued on one shop is not valid on another
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {string} Token in the form `<conversationId>.<signature>`
+ */
+export function signConversationToken(shop, conversationId) {
+  return `${conversationId}.${createSignature(shop, conversationId)}`;
+}
+
+/**
+ * Verifies a conversation token for a shop
+ * @param {string} shop - The shop domain
+ * @param {string} token - Token from signConversationToken
+ * @returns {string|null} The conversation ID, or null if the token is malformed, forged or for another shop
+ */
+export function verifyConversationToken(shop, token) {
+  return verifyToken(shop, token);
+}
+
+/**
+ * Signs a customer identity for a shop
+ * The widget keeps the token and sends it with new conversations so a customer who logged in
+ * once doesn't have to log in for every conversation. It can't be used as a conversation token.
+ * The token expires after AppConfig.customerAuth.identityTokenTtlDays, and signing out bumps the
+ * identity's token version so tokens issued before no longer verify
+ * @param {string} shop - The shop domain
+ * @param {Object} identity - The customer identity with `id` and `tokenVersion`
+ * @returns {string} Token in the form `<identityId>.<tokenVersion>.<expiresAt>.<signature>`
+ */
+export function signIdentityToken(shop, identity) {
+  const expiresAt = Math.floor(Date.now() / 1000) + AppConfig.customerAuth.identityTokenTtlDays * 24 * 60 * 60;
+  const payload = `${identity.id}.${identity.tokenVersion}.${expiresAt}`;
+
+  return `${payload}.${createSignature(shop, payload, 'identity')}`;
+}
+
+/**
+ * Verifies a customer identity token for a shop
+ * @param {string} shop - The shop domain
+ * @param {string} token - Token from signIdentityToken
+ * @returns {Promise<string|null>} The customer identity ID, or null if the token is malformed, forged,
+ *   for another shop, expired or issued before the customer last signed out
+ */
+export async function verifyIdentityToken(shop, token) {
+  if (typeof token !== 'string') return null;
+
+  const separator = token.lastIndexOf('.');
+  if (separator === -1) return null;
+
+  const payload = token.slice(0, separator);
+  const [id, tokenVersion, expiresAt, ...rest] = payload.split('.');
+  if (rest.length > 0 || !isConversationId(id) || !/^\d+$/.test(tokenVersion) || !/^\d+$/.test(expiresAt)) {
+    return null;
+  }
+
+  const signature = Buffer.from(token.slice(separator + 1));
+  const expected = Buffer.from(createSignature(shop, payload, 'identity'));
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  if (Number(expiresAt) * 1000 <= Date.now()) return null;
+
+  const identity = await getCustomerIdentity(shop, id);
+  if (!identity || identity.tokenVersion !== Number(tokenVersion)) return null;
+
+  return id;
+}
+
+/**
+ * Verifies a signed conversation token
+ * @param {string} shop - The shop domain
+ * @param {string} token - The token
+ * @returns {string|null} The signed ID, or null if the token is invalid
+ */
+function verifyToken(shop, token) {
+  if (typeof token !== 'string') return null;
+
+  const separator = token.lastIndexOf('.');
+  if (separator === -1) return null;
+
+  const id = token.slice(0, separator);
+  if (!isConversationId(id)) return null;
+
+  const signature = Buffer.from(token.slice(separator + 1));
+  const expected = Buffer.from(createSignature(shop, id));
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * Computes the signature of an ID
+ * Conversation tokens sign `<shop>:<id>`, other tokens are prefixed with their scope so
+ * one kind of token is never accepted as another
+ * @param {string} shop - The shop domain
+ * @param {string} id - The conversation ID, or the customer identity token payload
+ * @param {string} [scope] - What the token is signed for, none for conversation tokens
+ * @returns {string} Base64url HMAC-SHA256 signature
+ * @throws {Error} If SHOPIFY_API_SECRET is not set
+ */
+function createSignature(shop, id, scope) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error('SHOPIFY_API_SECRET is required to sign conversation tokens');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(scope ? `${scope}:${shop}:${id}` : `${shop}:${id}`)
+    .digest('base64url');
+}
+
+export default {
+  createConversationId,
+  isConversationId,
+  signConversationToken,
+  verifyConversationToken,
+  signIdentityToken,
+  verifyIdentityToken
+};
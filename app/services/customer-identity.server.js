@@ -0,0 +1,131 @@
+/**
+ * Customer Identity Service
+ * Resolves who logged in to the chat so new conversations can reuse their authorization,
+ * and signs customers out again
+ */
+import {
+  getCustomerAccountUrl,
+  upsertCustomerIdentity,
+  getCustomerIdentity,
+  linkConversationToIdentity,
+  getCustomerTokensToSignOut,
+  deleteCustomerTokens
+} from "../db.server";
+import { revokeCustomerToken } from "../auth.server";
+import AppConfig from "./config.server";
+import { verifyIdentityToken } from "./conversation-token.server";
+import { eventBus, CUSTOMER_SIGNED_OUT } from "./event-bus.server";
+
+/**
+ * Creates a customer identity service instance
+ * @returns {Object} Customer identity service with methods for identifying customers, linking conversations
+ *   and signing customers out
+ */
+export function createCustomerIdentityService() {
+  /**
+   * Identifies the customer an access token was issued to with the Customer Account API
+   * @param {string} shop - The shop domain
+   * @param {string} conversationId - The conversation the customer logged in from
+   * @param {string} accessToken - The customer access token
+   * @returns {Promise<Object|null>} The customer identity, or null if the customer couldn't be identified
+   */
+  const identifyCustomer = async (shop, conversationId, accessToken) => {
+    try {
+      const customerAccountUrl = await getCustomerAccountUrl(shop, conversationId);
+      if (!customerAccountUrl) {
+        console.error('Customer account URL not found for conversation:', conversationId);
+        return null;
+      }
+
+      const apiVersion = AppConfig.customerAuth.customerAccountApiVersion;
+      const response = await fetch(`${customerAccountUrl}/customer/api/${apiVersion}/graphql`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": accessToken
+        },
+        body: JSON.stringify({ query: "query { customer { id } }" })
+      });
+
+      if (!response.ok) {
+        console.error('Customer Account API request failed:', response.status);
+        return null;
+      }
+
+      const body = await response.json();
+      const customerGid = body.data?.customer?.id;
+      if (!customerGid) {
+        console.error('Customer Account API returned no customer:', body.errors);
+        return null;
+      }
+
+      // gid://shopify/Customer/123 -> 123, the ID the App Proxy and compliance webhooks use
+      return await upsertCustomerIdentity(shop, customerGid.split('/').pop());
+    } catch (error) {
+      console.error('Error identifying customer:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Links a conversation to the customer identity the widget presented a token for
+   * The identity is ignored when the shopper is logged in to the storefront as someone else
+   * @param {string} shop - The shop domain
+   * @param {string} conversationId - The conversation ID
+   * @param {string|null} identityToken - The identity token from the widget
+   * @param {string|null} customerId - The logged in storefront customer, null for guests
+   * @returns {Promise<Object|null>} The linked customer identity, or null if none was linked
+   */
+  const linkConversation = async (shop, conversationId, identityToken, customerId) => {
+    const identityId = identityToken ? await verifyIdentityToken(shop, identityToken) : null;
+    if (!identityId) return null;
+
+    const identity = await getCustomerIdentity(shop, identityId);
+    if (!identity || (customerId && identity.customerId !== customerId)) {
+      return null;
+    }
+
+    await linkConversationToIdentity(shop, conversationId, identity);
+    return identity;
+  };
+
+  /**
+   * Signs a customer out of a conversation, or out of an identity and every conversation linked to it
+   * Tokens are revoked at the authorization server when it supports revocation and deleted either way,
+   * open chat streams of the affected conversations are notified with a customer_signed_out event
+   * @param {string} shop - The shop domain
+   * @param {Object} params - What to sign out
+   * @param {string|null} [params.conversationId] - The conversation ID
+   * @param {string|null} [params.identityId] - The customer identity ID
+   * @returns {Promise<Object>} Number of `revoked` and `deleted` customer tokens
+   */
+  const signOut = async (shop, { conversationId = null, identityId = null }) => {
+    const tokens = await getCustomerTokensToSignOut(shop, { conversationId, identityId });
+
+    let revoked = 0;
+    for (const token of tokens) {
+      if (await revokeCustomerToken(shop, token)) {
+        revoked += 1;
+      }
+    }
+
+    const { customerTokens, conversationIds } = await deleteCustomerTokens(shop, { conversationId, identityId });
+
+    eventBus.publish(CUSTOMER_SIGNED_OUT, { shop, conversationIds });
+
+    return {
+      revoked,
+      deleted: customerTokens
+    };
+  };
+
+  return {
+    identifyCustomer,
+    linkConversation,
+    signOut
+  };
+}
+
+export default {
+  createCustomerIdentityService
+};
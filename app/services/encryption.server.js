@@ -0,0 +1,158 @@
+/**
+ * Encryption Service
+ * Envelope encryption of secrets stored in the database, such as customer access tokens and MCP server headers
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM), and the data key is
+ * encrypted with a master key from TOKEN_ENCRYPTION_KEYS. The master key's id is stored next
+ * to the value so keys can be rotated: list the new key first and keep the old ones until
+ * `npm run encrypt-tokens` has re-encrypted every row.
+ */
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const FORMAT_VERSION = "v1";
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+/**
+ * Parses TOKEN_ENCRYPTION_KEYS, a comma separated list of `keyId:base64Key`, the first key being active
+ * @param {string} [value] - The environment variable
+ * @returns {Array<Object>} Keys with `id` and `key` (32 byte Buffer)
+ * @throws {Error} If a key is malformed or not 32 bytes
+ */
+export function parseEncryptionKeys(value = process.env.TOKEN_ENCRYPTION_KEYS) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || key.length !== KEY_BYTES) {
+      throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${id || entry}", expected keyId:<32 bytes base64>`);
+    }
+
+    return { id, key };
+  });
+}
+
+/**
+ * Creates an encryption service instance
+ * @param {Object} [options] - Encryption options
+ * @param {Array<Object>} [options.keys] - Master keys, parsed from TOKEN_ENCRYPTION_KEYS when omitted
+ * @returns {Object} Encryption service with methods for encrypting and decrypting values
+ */
+export function createEncryptionService(options = {}) {
+  const keys = options.keys || parseEncryptionKeys();
+  const keysById = new Map(keys.map(entry => [entry.id, entry.key]));
+
+  /**
+   * Gets the id of the key new values are encrypted with
+   * @returns {string|null} The active key id, or null if no key is configured
+   */
+  const getActiveKeyId = () => {
+    return keys[0]?.id || null;
+  };
+
+  /**
+   * Encrypts a value with the active key
+   * @param {string} plaintext - The value to encrypt
+   * @returns {Object} Object with the encrypted `value` and the `keyId` it was encrypted with
+   * @throws {Error} If no key is configured
+   */
+  const encrypt = (plaintext) => {
+    const keyId = getActiveKeyId();
+    if (!keyId) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS is required to store customer tokens and MCP server headers');
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = seal(keysById.get(keyId), dataKey, keyId);
+    const data = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+
+    return {
+      value: [FORMAT_VERSION, wrappedKey, data].join('.'),
+      keyId
+    };
+  };
+
+  /**
+   * Decrypts a value
+   * @param {string} value - The encrypted value
+   * @param {string} keyId - The id of the key the value was encrypted with
+   * @returns {string} The plaintext
+   * @throws {Error} If the key is unknown or the value was tampered with
+   */
+  const decrypt = (value, keyId) => {
+    const key = keysById.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key "${keyId}", add it to TOKEN_ENCRYPTION_KEYS`);
+    }
+
+    const [version, ...parts] = value.split('.');
+    if (version !== FORMAT_VERSION || parts.length !== 6) {
+      throw new Error('Unsupported encrypted value format');
+    }
+
+    const dataKey = open(key, parts.slice(0, 3), keyId);
+    return open(dataKey, parts.slice(3)).toString('utf8');
+  };
+
+  /**
+   * Checks whether a value should be re-encrypted with the active key
+   * @param {string|null} keyId - The key the value was encrypted with, null for plaintext
+   * @returns {boolean} True for plaintext values and values encrypted with an older key
+   */
+  const needsReencryption = (keyId) => {
+    return keyId !== getActiveKeyId();
+  };
+
+  return {
+    encrypt,
+    decrypt,
+    needsReencryption,
+    getActiveKeyId
+  };
+}
+
+/**
+ * Encrypts bytes with AES-256-GCM
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer} plaintext - The bytes to encrypt
+ * @param {string} [aad] - Additional authenticated data
+ * @returns {string} `iv.tag.ciphertext`, base64url encoded
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypts bytes encrypted by seal
+ * @param {Buffer} key - 32 byte key
+ * @param {Array<string>} parts - The base64url `iv`, `tag` and `ciphertext`
+ * @param {string} [aad] - Additional authenticated data
+ * @returns {Buffer} The plaintext
+ * @throws {Error} If the authentication tag doesn't match
+ */
+function open(key, parts, aad) {
+  const [iv, tag, ciphertext] = parts.map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Shared instance using the keys from the environment
+export const tokenEncryption = createEncryptionService();
+
+export default {
+  createEncryptionService,
+  parseEncryptionKeys,
+  tokenEncryption
+};
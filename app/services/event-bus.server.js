@@ -0,0 +1,65 @@
+/**
+ * Event Bus Service
+ * Publishes events between requests handled by this process, e.g. a sign out reaching an open chat stream
+ */
+import { EventEmitter } from "events";
+
+// A customer signed out, payload: { shop, conversationIds }
+export const CUSTOMER_SIGNED_OUT = "customer_signed_out";
+
+/**
+ * Creates an event bus instance
+ * @returns {Object} Event bus with methods for publishing and subscribing to events
+ */
+export function createEventBus() {
+  const emitter = new EventEmitter();
+
+  // Every open chat stream subscribes, there is no meaningful limit
+  emitter.setMaxListeners(0);
+
+  /**
+   * Publishes an event to every subscriber
+   * @param {string} event - The event name
+   * @param {Object} payload - The event payload
+   */
+  const publish = (event, payload) => {
+    emitter.emit(event, payload);
+  };
+
+  /**
+   * Subscribes to an event
+   * @param {string} event - The event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribes the handler
+   */
+  const subscribe = (event, handler) => {
+    const listener = (payload) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Error handling ${event} event:`, error);
+      }
+    };
+
+    emitter.on(event, listener);
+    return () => emitter.off(event, listener);
+  };
+
+  return {
+    publish,
+    subscribe
+  };
+}
+
+// Shared instance, reused across development reloads so open streams keep receiving events
+if (!global.eventBus) {
+  global.eventBus = createEventBus();
+}
+
+export const eventBus = global.eventBus;
+
+export default {
+  createEventBus,
+  eventBus,
+  CUSTOMER_SIGNED_OUT
+};
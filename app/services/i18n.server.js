@@ -0,0 +1,90 @@
+/**
+ * I18n Service
+ * Looks up server-side strings in app/locales for the shopper's storefront locale
+ */
+import en from "../locales/en.json";
+import fr from "../locales/fr.json";
+import es from "../locales/es.json";
+import de from "../locales/de.json";
+
+const DEFAULT_LANGUAGE = "en";
+
+const translations = { en, fr, es, de };
+
+// Storefront API LanguageCode values that include a region, every other language is the bare code
+const REGIONAL_LANGUAGE_CODES = ["PT_BR", "PT_PT", "ZH_CN", "ZH_TW"];
+
+/**
+ * Gets the language part of a locale
+ * @param {string} [locale] - The locale, e.g. "fr-CA"
+ * @returns {string} The lowercased language, e.g. "fr"
+ */
+export function getLanguage(locale) {
+  const language = typeof locale === 'string' ? locale.split(/[-_]/)[0].toLowerCase() : '';
+  return language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translates a key, falling back to English when the locale has no translation
+ * @param {string} key - Dot separated key, e.g. "errorMessages.missingMessage"
+ * @param {string} [locale] - The shopper locale
+ * @param {Object} [values] - Values for `{name}` placeholders
+ * @returns {string} The translated string, or the key itself if it is unknown
+ */
+export function t(key, locale, values = {}) {
+  const message = lookup(translations[getLanguage(locale)], key) ?? lookup(translations[DEFAULT_LANGUAGE], key);
+
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    values[name] !== undefined ? String(values[name]) : placeholder
+  ));
+}
+
+/**
+ * Gets the English name of a locale's language, used to instruct Claude
+ * @param {string} locale - The locale, e.g. "fr-CA"
+ * @returns {string} The language name, e.g. "Canadian French"
+ */
+export function getLanguageName(locale) {
+  try {
+    return new Intl.DisplayNames([DEFAULT_LANGUAGE], { type: 'language' }).of(locale) || locale;
+  } catch (error) {
+    return locale;
+  }
+}
+
+/**
+ * Builds the Storefront API @inContext arguments for a locale and country
+ * @param {string} [locale] - The shopper locale, e.g. "pt-BR"
+ * @param {string} [country] - The shopper country, e.g. "BR"
+ * @returns {Object} Variables with `language` (e.g. "PT_BR") and `country` (e.g. "BR"), null when unknown
+ */
+export function getStorefrontContext(locale, country) {
+  const [language, region] = typeof locale === 'string' ? locale.toUpperCase().split(/[-_]/) : [];
+  const regionalLanguage = region ? `${language}_${region}` : null;
+
+  return {
+    language: REGIONAL_LANGUAGE_CODES.includes(regionalLanguage) ? regionalLanguage : (language || null),
+    country: typeof country === 'string' && /^[A-Za-z]{2}$/.test(country) ? country.toUpperCase() : (region && region.length === 2 ? region : null)
+  };
+}
+
+/**
+ * Resolves a dot separated key in a translation file
+ * @param {Object} [messages] - Translations for one language
+ * @param {string} key - Dot separated key
+ * @returns {string|undefined} The message, if present
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+export default {
+  t,
+  getLanguage,
+  getLanguageName,
+  getStorefrontContext
+};
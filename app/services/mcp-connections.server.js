@@ -0,0 +1,447 @@
+/**
+ * MCP Connections Service
+ * Shares tool catalogs, MCP sessions, keep-alive HTTP connections and endpoint health between
+ * MCPClient instances, and measures how long MCP requests take.
+ * Merchant registered servers are only reached on public addresses, so their URLs can't be used
+ * to probe the app's own network.
+ */
+import dns from "dns";
+import net from "net";
+import { Agent, fetch } from "undici";
+import AppConfig from "./config.server";
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * Creates a tool catalog cache
+ * Entries are per shop, endpoint and locale, since tool descriptions may be localized and
+ * merchant registered servers may answer differently per shop
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlSeconds - How long a catalog is used before tools/list is sent again
+ * @param {number} options.maxEntries - Maximum number of entries before the least recently used is evicted
+ * @returns {Object} Tool catalog with methods for reading, storing and invalidating catalogs
+ */
+export function createToolCatalog({ ttlSeconds, maxEntries }) {
+  // Map iteration follows insertion order, so re-inserting on read keeps the oldest entry first
+  const entries = new Map();
+  // Statistics per shop, so a merchant only sees their own
+  const stats = new Map();
+
+  /**
+   * Counts a cache event for a shop
+   * @param {string} shop - The shop domain
+   * @param {string} event - "hits", "misses" or "invalidations"
+   */
+  const count = (shop, event) => {
+    const shopStats = stats.get(shop) || { hits: 0, misses: 0, invalidations: 0 };
+    shopStats[event] += 1;
+    stats.set(shop, shopStats);
+  };
+
+  /**
+   * Gets the catalog of an endpoint
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   * @param {string|null} locale - The locale the tools were listed in
+   * @returns {Object|null} The cached `tools` and shared `session`, or null if not cached or expired
+   */
+  const get = (shop, endpoint, locale) => {
+    const key = getKey(shop, endpoint, locale);
+    const entry = entries.get(key);
+    entries.delete(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      count(shop, "misses");
+      return null;
+    }
+
+    entries.set(key, entry);
+    count(shop, "hits");
+    return entry;
+  };
+
+  /**
+   * Stores the catalog of an endpoint
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   * @param {string|null} locale - The locale the tools were listed in
+   * @param {Object} catalog - The catalog
+   * @param {Array} catalog.tools - Raw tools from tools/list
+   * @param {Object|null} catalog.session - MCP session other clients may reuse, null if it holds customer credentials
+   */
+  const set = (shop, endpoint, locale, { tools, session }) => {
+    const key = getKey(shop, endpoint, locale);
+    entries.delete(key);
+    entries.set(key, { tools, session, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  /**
+   * Drops the catalogs of an endpoint in every locale, e.g. after notifications/tools/list_changed or an expired session
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   */
+  const invalidate = (shop, endpoint) => {
+    const prefix = getKey(shop, endpoint, "");
+
+    for (const key of [...entries.keys()]) {
+      if (key.startsWith(prefix) && entries.delete(key)) {
+        count(shop, "invalidations");
+      }
+    }
+  };
+
+  /**
+   * Gets the cache statistics of a shop
+   * @param {string} shop - The shop domain
+   * @returns {Object} `hits`, `misses`, `invalidations` and the number of cached catalogs (`size`)
+   */
+  const getStats = (shop) => {
+    const size = [...entries.keys()].filter(key => key.startsWith(`${shop} `)).length;
+    return { hits: 0, misses: 0, invalidations: 0, ...stats.get(shop), size };
+  };
+
+  return {
+    get,
+    set,
+    invalidate,
+    getStats
+  };
+}
+
+/**
+ * Builds the cache key of a catalog
+ * @param {string} shop - The shop domain
+ * @param {string} endpoint - The MCP endpoint
+ * @param {string|null} locale - The locale
+ * @returns {string} The key, starting with the shop and endpoint so invalidation can match every locale
+ */
+function getKey(shop, endpoint, locale) {
+  return `${shop} ${endpoint} ${locale || ""}`;
+}
+
+/**
+ * Creates MCP request timing metrics, kept per shop
+ * @returns {Object} Metrics with methods for recording and reading request durations
+ */
+export function createMcpMetrics() {
+  // Per shop, a map of JSON-RPC method to timings
+  const shops = new Map();
+
+  /**
+   * Records how long a JSON-RPC request took
+   * @param {string} shop - The shop domain the request was made for
+   * @param {string} method - The JSON-RPC method
+   * @param {number} durationMs - Time from sending the request to reading the response
+   * @param {boolean} failed - Whether the request failed
+   */
+  const recordRequest = (shop, method, durationMs, failed) => {
+    const methods = shops.get(shop) || new Map();
+    const entry = methods.get(method) || { count: 0, failures: 0, totalMs: 0, maxMs: 0 };
+
+    entry.count += 1;
+    entry.failures += failed ? 1 : 0;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+
+    methods.set(method, entry);
+    shops.set(shop, methods);
+  };
+
+  /**
+   * Gets the request timings of a shop since the process started
+   * @param {string} shop - The shop domain
+   * @returns {Object} Per JSON-RPC method, `count`, `failures`, `averageMs` and `maxMs`
+   */
+  const getRequestMetrics = (shop) => {
+    return Object.fromEntries([...(shops.get(shop) || [])].map(([method, entry]) => [method, {
+      count: entry.count,
+      failures: entry.failures,
+      averageMs: Math.round(entry.totalMs / entry.count),
+      maxMs: Math.round(entry.maxMs)
+    }]));
+  };
+
+  return {
+    recordRequest,
+    getRequestMetrics
+  };
+}
+
+/**
+ * Creates a circuit breaker that stops sending requests to endpoints that keep failing
+ * Circuits are kept per shop, so one shop's failures or credentials don't pause an endpoint for other shops
+ * @param {Object} options - Breaker options
+ * @param {number} options.failureThreshold - Consecutive failures that open an endpoint's circuit
+ * @param {number} options.resetSeconds - How long an open circuit rejects requests before a trial request
+ * @returns {Object} Circuit breaker with methods for admitting requests and recording their outcome
+ */
+export function createCircuitBreaker({ failureThreshold, resetSeconds }) {
+  // Endpoints with recent failures by shop and endpoint, healthy endpoints have no entry
+  const circuits = new Map();
+  const resetMs = resetSeconds * 1000;
+
+  /**
+   * Checks whether a shop may send a request to an endpoint
+   * Once the reset period passed, one trial request at a time is let through
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   * @returns {boolean} True if the request may be sent
+   */
+  const acquire = (shop, endpoint) => {
+    const circuit = circuits.get(`${shop} ${endpoint}`);
+    if (!circuit || circuit.openedAt === null) return true;
+
+    const now = Date.now();
+    if (now < circuit.openedAt + resetMs) return false;
+
+    // A trial that never reported back (e.g. the turn ended) doesn't block the endpoint forever
+    if (circuit.trialStartedAt !== null && now < circuit.trialStartedAt + resetMs) return false;
+
+    circuit.trialStartedAt = now;
+    return true;
+  };
+
+  /**
+   * Records that an endpoint answered a shop's request, closing the shop's circuit
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   */
+  const recordSuccess = (shop, endpoint) => {
+    const key = `${shop} ${endpoint}`;
+    if (circuits.get(key)?.openedAt) {
+      console.log(`MCP server at ${endpoint} recovered for ${shop}, closing its circuit`);
+    }
+
+    circuits.delete(key);
+  };
+
+  /**
+   * Records that an endpoint failed a shop's request, opening the shop's circuit after too many failures or a failed trial
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   */
+  const recordFailure = (shop, endpoint) => {
+    const key = `${shop} ${endpoint}`;
+    const circuit = circuits.get(key) || { failures: 0, openedAt: null, trialStartedAt: null };
+    circuit.failures += 1;
+
+    if (circuit.openedAt !== null || circuit.failures >= failureThreshold) {
+      if (circuit.openedAt === null) {
+        console.warn(`MCP server at ${endpoint} failed ${circuit.failures} times for ${shop}, pausing requests for ${resetSeconds}s`);
+      }
+
+      circuit.openedAt = Date.now();
+      circuit.trialStartedAt = null;
+    }
+
+    circuits.set(key, circuit);
+  };
+
+  /**
+   * Gets when a shop's open circuit lets the next trial request through
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   * @returns {Date|null} The time, or null if the circuit is closed
+   */
+  const getRetryAt = (shop, endpoint) => {
+    const circuit = circuits.get(`${shop} ${endpoint}`);
+    return circuit?.openedAt ? new Date(circuit.openedAt + resetMs) : null;
+  };
+
+  /**
+   * Checks whether a shop's circuit for an endpoint is open
+   * @param {string} shop - The shop domain
+   * @param {string} endpoint - The MCP endpoint
+   * @returns {boolean} True if the endpoint is paused for the shop after repeated failures
+   */
+  const isOpen = (shop, endpoint) => {
+    return Boolean(circuits.get(`${shop} ${endpoint}`)?.openedAt);
+  };
+
+  return {
+    acquire,
+    recordSuccess,
+    recordFailure,
+    getRetryAt,
+    isOpen
+  };
+}
+
+/**
+ * Checks whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  return PRIVATE_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Checks whether a host name can be a public server, before resolving it
+ * @param {string} hostname - Host name or IP address from a URL
+ * @returns {boolean} False for private IP addresses, localhost, single-label and .internal/.local names
+ */
+export function isPublicHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+
+  if (net.isIP(host)) return !isPrivateAddress(host);
+
+  return host.includes(".")
+    && !/(^|\.)(localhost|internal|local|localdomain|home\.arpa)$/.test(host);
+}
+
+/**
+ * Resolves a host name and checks every address it resolves to is public
+ * @param {string} hostname - Host name from a URL
+ * @returns {Promise<boolean>} True if the name resolves and only to public addresses
+ */
+export async function resolvesToPublicAddresses(hostname) {
+  if (!isPublicHostname(hostname)) return false;
+
+  try {
+    const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ""), { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * DNS lookup for the public-only dispatcher, failing connections to names that resolve to private addresses
+ * Checking at connect time also covers names that resolved to a public address when they were registered
+ * @param {string} hostname - The host name to resolve
+ * @param {Object} options - Lookup options from net.connect
+ * @param {Function} callback - Called like dns.lookup's callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`${hostname} resolves to ${blocked ? `the private address ${blocked.address}` : "no address"}`));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Gets the connection state shared by every MCPClient in this process
+ * Kept on `global` so development reloads don't leak keep-alive sockets
+ * @returns {Object} The `toolCatalog`, `metrics`, `circuitBreaker`, keep-alive `dispatcher`, `publicDispatcher` and `lastRequestId`
+ */
+function getSharedConnections() {
+  if (!global.mcpConnections) {
+    global.mcpConnections = {
+      toolCatalog: createToolCatalog(AppConfig.mcp.toolCatalog),
+      metrics: createMcpMetrics(),
+      circuitBreaker: createCircuitBreaker(AppConfig.mcp.circuitBreaker),
+      lastRequestId: 0,
+      dispatcher: new Agent({
+        connections: AppConfig.mcp.http.connectionsPerOrigin,
+        keepAliveTimeout: AppConfig.mcp.http.keepAliveTimeoutMs,
+        keepAliveMaxTimeout: AppConfig.mcp.http.keepAliveTimeoutMs
+      }),
+      // For merchant registered servers
+      publicDispatcher: new Agent({
+        connections: AppConfig.mcp.http.connectionsPerOrigin,
+        keepAliveTimeout: AppConfig.mcp.http.keepAliveTimeoutMs,
+        keepAliveMaxTimeout: AppConfig.mcp.http.keepAliveTimeoutMs,
+        connect: { lookup: lookupPublicAddress }
+      })
+    };
+  }
+
+  return global.mcpConnections;
+}
+
+export const {
+  toolCatalog,
+  metrics: mcpMetrics,
+  circuitBreaker: mcpCircuitBreaker,
+  dispatcher: mcpDispatcher,
+  publicDispatcher: mcpPublicDispatcher
+} = getSharedConnections();
+
+/**
+ * Fetches over the shared keep-alive connections
+ * @param {string} url - The URL
+ * @param {Object} init - Fetch options
+ * @param {Object} [options] - Connection options
+ * @param {boolean} [options.publicOnly] - Refuse hosts that are or resolve to private addresses, for merchant registered servers
+ * @returns {Promise<Response>} The response
+ * @throws {Error} If `publicOnly` is set and the URL's host isn't public or the server redirects
+ */
+export async function mcpFetch(url, init, { publicOnly = false } = {}) {
+  if (publicOnly && !isPublicHostname(new URL(url).hostname)) {
+    throw new Error(`${new URL(url).hostname} is not a public host`);
+  }
+
+  if (!publicOnly) {
+    return fetch(url, { ...init, dispatcher: mcpDispatcher });
+  }
+
+  // A redirect could point at a private IP address, which skips the DNS check
+  return fetch(url, { ...init, dispatcher: mcpPublicDispatcher, redirect: "error" });
+}
+
+/**
+ * Gets a JSON-RPC request ID that is unique in this process
+ * MCP sessions are shared between clients, so IDs can't restart at 1 per client
+ * @returns {number} The request ID
+ */
+export function nextMcpRequestId() {
+  global.mcpConnections.lastRequestId += 1;
+  return global.mcpConnections.lastRequestId;
+}
+
+/**
+ * Gets a shop's tool catalog cache statistics and MCP request timings, for the admin
+ * @param {string} shop - The shop domain
+ * @returns {Object} `toolCatalog` statistics and `requests` timings per JSON-RPC method
+ */
+export function getMcpConnectionMetrics(shop) {
+  return {
+    toolCatalog: toolCatalog.getStats(shop),
+    requests: mcpMetrics.getRequestMetrics(shop)
+  };
+}
+
+export default {
+  createToolCatalog,
+  createMcpMetrics,
+  createCircuitBreaker,
+  getMcpConnectionMetrics,
+  isPrivateAddress,
+  isPublicHostname,
+  resolvesToPublicAddresses,
+  nextMcpRequestId,
+  mcpFetch,
+  toolCatalog,
+  mcpMetrics,
+  mcpCircuitBreaker,
+  mcpDispatcher,
+  mcpPublicDispatcher
+};
@@ -0,0 +1,239 @@
+/**
+ * MCP Servers Service
+ * Manages the extra MCP servers a merchant registers and connects chat and search to them
+ */
+import MCPClient from "../mcp-client";
+import {
+  getMcpServers,
+  getMcpServer,
+  createMcpServer,
+  updateMcpServerStatus
+} from "../db.server";
+import AppConfig from "./config.server";
+import { toolCatalog, resolvesToPublicAddresses } from "./mcp-connections.server";
+
+// Prefixes start tool names, keep them short and safe for tool names
+const PREFIX_PATTERN = /^[a-z][a-z0-9_]{0,19}$/;
+// Header names are HTTP tokens (RFC 9110)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Hop-by-hop headers and headers the MCP client sets itself, in lowercase
+const RESERVED_HEADER_NAMES = new Set([
+  "host",
+  "connection",
+  "keep-alive",
+  "proxy-authorization",
+  "proxy-connection",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+  "content-length",
+  "content-type",
+  "accept",
+  "accept-language",
+  "mcp-session-id",
+  "mcp-protocol-version"
+]);
+
+/**
+ * Creates an MCP server service instance
+ * @returns {Object} MCP server service with methods for registering, connecting and checking servers
+ */
+export function createMcpServerService() {
+  /**
+   * Validates and registers an MCP server for a shop
+   * @param {string} shop - The shop domain
+   * @param {Object} input - Form input
+   * @param {string} input.name - Display name
+   * @param {string} input.prefix - Prefix of the server's tool names
+   * @param {string} input.url - The MCP endpoint, https only and on a public address
+   * @param {string} [input.headers] - One `Name: value` header per line
+   * @returns {Promise<Object>} The saved `server`, or `errors` per field
+   */
+  const registerServer = async (shop, input) => {
+    const name = (input.name || "").trim();
+    const prefix = (input.prefix || "").trim();
+    const url = (input.url || "").trim();
+    const errors = {};
+
+    if (!name) {
+      errors.name = "Enter a name";
+    }
+
+    if (!PREFIX_PATTERN.test(prefix)) {
+      errors.prefix = "Use up to 20 lowercase letters, digits and underscores, starting with a letter";
+    } else if ((await getShopifyToolNames(shop)).some(toolName => toolName.startsWith(`${prefix}_`))) {
+      errors.prefix = "Tools with this prefix could clash with the store's own tools, choose another prefix";
+    }
+
+    if (!isHttpsUrl(url)) {
+      errors.url = "Enter the https:// URL of the MCP endpoint";
+    } else if (!(await resolvesToPublicAddresses(new URL(url).hostname))) {
+      errors.url = "The URL must point to a server on the public internet";
+    }
+
+    const headers = parseHeaders(input.headers || "");
+    const reservedHeader = headers && Object.keys(headers).find(headerName => RESERVED_HEADER_NAMES.has(headerName.toLowerCase()));
+    if (!headers) {
+      errors.headers = "Write one header per line as Name: value, each name once";
+    } else if (reservedHeader) {
+      errors.headers = `The ${reservedHeader} header is set by the app and can't be configured`;
+    }
+
+    const servers = await getMcpServers(shop);
+    if (servers.some(server => server.prefix === prefix)) {
+      errors.prefix = "Another server already uses this prefix";
+    }
+    if (servers.length >= AppConfig.mcp.additionalServers.maxPerShop) {
+      errors.name = `A shop can register up to ${AppConfig.mcp.additionalServers.maxPerShop} servers`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    return { server: await createMcpServer(shop, { name, prefix, url, headers }) };
+  };
+
+  /**
+   * Gets the names of the tools a shop's storefront and customer MCP servers offer
+   * @param {string} shop - The shop domain
+   * @returns {Promise<Array<string>>} The configured names, and the storefront's current tools when it can be reached
+   */
+  const getShopifyToolNames = async (shop) => {
+    const names = [...AppConfig.mcp.additionalServers.reservedToolNames];
+
+    try {
+      const storefrontTools = await new MCPClient(`https://${shop}`, null, null, null).connectToStorefrontServer();
+      names.push(...storefrontTools.map(tool => tool.name));
+    } catch (error) {
+      // Already logged, the configured names still apply
+    }
+
+    return names;
+  };
+
+  /**
+   * Connects an MCP client to the enabled servers of a shop and records their health
+   * @param {string} shop - The shop domain
+   * @param {MCPClient} mcpClient - The client to add the servers' tools to
+   * @returns {Promise<Array>} The prefixed tools of the servers that connected
+   */
+  const connectServers = async (shop, mcpClient) => {
+    const servers = await getMcpServers(shop, { enabledOnly: true });
+    if (servers.length === 0) return [];
+
+    const results = await mcpClient.connectToAdditionalServers(servers);
+    await Promise.all(results.map(result => recordStatus(shop, result)));
+
+    return results.flatMap(result => result.tools);
+  };
+
+  /**
+   * Connects to a server of a shop and records its health, for the admin's check button
+   * @param {string} shop - The shop domain
+   * @param {string} id - The MCP server ID
+   * @returns {Promise<Object|null>} The number of `tools` and the `error` message, null if the server doesn't exist
+   */
+  const checkServer = async (shop, id) => {
+    const server = await getMcpServer(shop, id);
+    if (!server) return null;
+
+    // Connections are refused at resolution time too, this gives the merchant a clearer message
+    if (!(await resolvesToPublicAddresses(new URL(server.url).hostname))) {
+      const error = new Error("The server's address is not on the public internet");
+      await recordStatus(shop, { server, error }, { force: true });
+      return { tools: 0, error: error.message };
+    }
+
+    // A check should reach the server, not the cached tool list
+    toolCatalog.invalidate(shop, server.url);
+
+    const mcpClient = new MCPClient(`https://${shop}`, null, null, null);
+    const [result] = await mcpClient.connectToAdditionalServers([server]);
+    await recordStatus(shop, result, { force: true });
+
+    return {
+      tools: result.tools.length,
+      error: result.error ? result.error.message : null
+    };
+  };
+
+  /**
+   * Records the outcome of a connection, unless the status is unchanged and was recorded recently
+   * @param {string} shop - The shop domain
+   * @param {Object} result - Connection result from MCPClient.connectToAdditionalServers
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Record even if nothing changed
+   * @returns {Promise<void>}
+   */
+  const recordStatus = async (shop, { server, error }, { force = false } = {}) => {
+    const status = error ? "unhealthy" : "healthy";
+    const interval = AppConfig.mcp.additionalServers.statusUpdateIntervalSeconds * 1000;
+    const isRecent = server.lastCheckedAt && Date.now() - server.lastCheckedAt.getTime() < interval;
+
+    if (!force && server.status === status && isRecent) return;
+
+    await updateMcpServerStatus(shop, server.id, error ? error.message : null);
+  };
+
+  return {
+    registerServer,
+    connectServers,
+    checkServer
+  };
+}
+
+/**
+ * Checks that a value is an https URL
+ * @param {string} value - The value to check
+ * @returns {boolean} True for https URLs
+ */
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses `Name: value` lines into a headers object
+ * @param {string} text - One header per line, blank lines are ignored
+ * @returns {Object|null} The headers, or null if a line is malformed or a name is repeated
+ */
+function parseHeaders(text) {
+  const headers = {};
+
+  for (const line of text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)) {
+    const separator = line.indexOf(":");
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+
+    if (separator <= 0 || !HEADER_NAME_PATTERN.test(name) || !isHeaderValue(value)) {
+      return null;
+    }
+
+    // Names are case-insensitive, a repeated one would be sent twice
+    if (Object.keys(headers).some(headerName => headerName.toLowerCase() === name.toLowerCase())) {
+      return null;
+    }
+
+    headers[name] = value;
+  }
+
+  return headers;
+}
+
+/**
+ * Checks that a header value can be sent, fetch only accepts Latin-1 without control characters other than tab
+ * @param {string} value - The header value
+ * @returns {boolean} True if the value is non-empty and valid
+ */
+function isHeaderValue(value) {
+  return value.length > 0 && [...value].every(char => char === "\t" || (char >= " " && char <= "\xff" && char !== "\x7f"));
+}
+
+export default {
+  createMcpServerService
+};
@@ -0,0 +1,190 @@
+/**
+ * Money Service
+ * Formats prices for the shopper's locale and currency, shared by search and chat
+ */
+import AppConfig from "./config.server";
+import { t } from "./i18n.server";
+
+// Intl.NumberFormat instances are expensive to build, keep one per locale and currency
+const formatters = new Map();
+
+/**
+ * Resolves the locale prices are formatted in
+ * @param {string} [locale] - Shopper locale, e.g. "fr" or "pt-BR"
+ * @param {string} [country] - Shopper country, added as the region when the locale has none
+ * @returns {string} A locale supported by Intl, AppConfig.money.defaultLocale otherwise
+ */
+export function normalizeLocale(locale, country) {
+  if (typeof locale !== 'string' || !locale.trim()) {
+    return AppConfig.money.defaultLocale;
+  }
+
+  let candidate = locale.trim();
+  if (!candidate.includes('-') && typeof country === 'string' && /^[A-Za-z]{2}$/.test(country)) {
+    candidate = `${candidate}-${country.toUpperCase()}`;
+  }
+
+  try {
+    const [canonical] = Intl.getCanonicalLocales(candidate);
+    if (canonical && Intl.NumberFormat.supportedLocalesOf(canonical).length > 0) {
+      return canonical;
+    }
+  } catch (error) {
+    console.warn('Invalid locale, using default:', candidate);
+  }
+
+  return AppConfig.money.defaultLocale;
+}
+
+/**
+ * Validates an ISO 4217 currency code
+ * @param {string} [currency] - Currency code, e.g. "EUR"
+ * @returns {string|null} The uppercased code, or null if invalid
+ */
+export function normalizeCurrency(currency) {
+  if (typeof currency !== 'string') return null;
+
+  const code = currency.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+/**
+ * Resolves the money options for a request
+ * @param {Object} [options] - Raw options from the request
+ * @param {string} [options.locale] - Shopper locale
+ * @param {string} [options.country] - Shopper country
+ * @param {string} [options.currency] - Presentment currency
+ * @returns {Object} Money options with `locale`, `country` and `currency`
+ */
+export function normalizeMoneyOptions({ locale, country, currency } = {}) {
+  return {
+    locale: normalizeLocale(locale, country),
+    country: typeof country === 'string' && /^[A-Za-z]{2}$/.test(country) ? country.toUpperCase() : null,
+    currency: normalizeCurrency(currency)
+  };
+}
+
+/**
+ * Formats an amount of money
+ * @param {string|number} amount - The amount
+ * @param {string} [currency] - The amount's currency code
+ * @param {Object} [options] - Money options
+ * @param {string} [options.locale] - Locale to format in
+ * @param {string} [options.currency] - Presentment currency, used when the amount has no currency
+ * @returns {string|null} The formatted amount, or null if the amount is not a number
+ */
+export function formatMoney(amount, currency, options = {}) {
+  const value = parseFloat(amount);
+  if (!Number.isFinite(value)) return null;
+
+  const locale = options.locale || AppConfig.money.defaultLocale;
+  const currencyCode = normalizeCurrency(currency) || normalizeCurrency(options.currency);
+
+  return getFormatter(locale, currencyCode).format(value);
+}
+
+/**
+ * Formats a product's price, its price range and compare-at price
+ * Understands Storefront API products and the catalog MCP tool's product shape
+ * @param {Object} product - Raw product data
+ * @param {Object} [options] - Money options from normalizeMoneyOptions
+ * @returns {Object} `price` ("€12,00", or "from €12,00" for ranges) and `compareAtPrice` (null unless on sale)
+ */
+export function formatProductPrice(product, options = {}) {
+  const prices = getProductPrices(product);
+
+  if (!prices) {
+    return { price: t('money.unavailable', options.locale), compareAtPrice: null };
+  }
+
+  const min = formatMoney(prices.min, prices.currency, options);
+  const isRange = prices.max !== null && parseFloat(prices.max) > parseFloat(prices.min);
+  const isOnSale = prices.compareAt !== null && parseFloat(prices.compareAt) > parseFloat(prices.min);
+
+  return {
+    price: isRange ? t('money.from', options.locale, { price: min }) : min,
+    compareAtPrice: isOnSale ? formatMoney(prices.compareAt, prices.currency, options) : null
+  };
+}
+
+/**
+ * Extracts the lowest price, highest price and compare-at price of a product
+ * @param {Object} product - Raw product data
+ * @returns {Object|null} Prices with `min`, `max`, `compareAt` and `currency`, or null if the product has no price
+ */
+function getProductPrices(product) {
+  if (!product) return null;
+
+  // Storefront API
+  if (product.priceRange?.minVariantPrice) {
+    const { minVariantPrice, maxVariantPrice } = product.priceRange;
+    return {
+      min: minVariantPrice.amount,
+      max: maxVariantPrice?.amount ?? null,
+      compareAt: product.compareAtPriceRange?.minVariantPrice?.amount ?? null,
+      currency: minVariantPrice.currencyCode
+    };
+  }
+
+  // Catalog MCP tool
+  const range = product.price_range || product.priceRange;
+  if (range && range.min !== undefined) {
+    return {
+      min: range.min,
+      max: range.max ?? null,
+      compareAt: product.compare_at_price_range?.min ?? product.variants?.[0]?.compare_at_price ?? null,
+      currency: range.currency
+    };
+  }
+
+  if (Array.isArray(product.variants) && product.variants.length > 0) {
+    const variants = product.variants.filter(variant => Number.isFinite(parseFloat(variant.price)));
+    if (variants.length > 0) {
+      const cheapest = variants.reduce((a, b) => (parseFloat(b.price) < parseFloat(a.price) ? b : a));
+      const highest = variants.reduce((a, b) => (parseFloat(b.price) > parseFloat(a.price) ? b : a));
+      return {
+        min: cheapest.price,
+        max: highest.price,
+        compareAt: cheapest.compare_at_price ?? cheapest.compareAtPrice ?? null,
+        currency: cheapest.currency || cheapest.currencyCode
+      };
+    }
+  }
+
+  const price = product.price;
+  if (price && typeof price === 'object' && price.amount !== undefined) {
+    return { min: price.amount, max: null, compareAt: null, currency: price.currencyCode || price.currency };
+  }
+
+  if (Number.isFinite(parseFloat(price))) {
+    return { min: price, max: null, compareAt: null, currency: null };
+  }
+
+  return null;
+}
+
+/**
+ * Gets a cached number formatter
+ * @param {string} locale - The locale
+ * @param {string|null} currency - The currency code, or null for a plain decimal
+ * @returns {Intl.NumberFormat} The formatter
+ */
+function getFormatter(locale, currency) {
+  const key = `${locale}|${currency || ''}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, currency
+      ? new Intl.NumberFormat(locale, { style: 'currency', currency })
+      : new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  }
+
+  return formatters.get(key);
+}
+
+export default {
+  normalizeLocale,
+  normalizeCurrency,
+  normalizeMoneyOptions,
+  formatMoney,
+  formatProductPrice
+};
@@ -0,0 +1,186 @@
+/**
+ * Product Ratings Service
+ * Reads product ratings and review counts from metafields through the Storefront API
+ */
+import { unauthenticated } from "../shopify.server";
+import AppConfig from "./config.server";
+
+const PRODUCT_RATINGS_QUERY = `#graphql
+  query productRatings(
+    $ids: [ID!]!
+    $ratingNamespace: String!
+    $ratingKey: String!
+    $countNamespace: String!
+    $countKey: String!
+  ) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        rating: metafield(namespace: $ratingNamespace, key: $ratingKey) {
+          type
+          value
+        }
+        ratingCount: metafield(namespace: $countNamespace, key: $countKey) {
+          value
+        }
+      }
+    }
+  }`;
+
+// Ratings are shown on a five star scale whatever scale the metafield uses
+const STAR_SCALE = 5;
+
+/**
+ * Parses a "namespace.key" metafield identifier
+ * @param {string} identifier - The metafield identifier, e.g. "reviews.rating"
+ * @returns {Object|null} Object with `namespace` and `key`, or null if the identifier is invalid
+ */
+export function parseMetafieldIdentifier(identifier) {
+  if (typeof identifier !== 'string') return null;
+
+  const match = identifier.trim().match(/^([\w-]+)\.([\w.-]+)$/);
+  return match ? { namespace: match[1], key: match[2] } : null;
+}
+
+/**
+ * Resolves the metafields ratings are read from, falling back to AppConfig.search.ratings
+ * @param {Object} [source] - Metafield identifiers configured for the shop's widget
+ * @param {string} [source.rating] - Rating metafield, e.g. "reviews.rating"
+ * @param {string} [source.count] - Review count metafield, e.g. "reviews.rating_count"
+ * @returns {Object} Rating source with parsed `rating` and `count` metafields
+ */
+export function normalizeRatingSource(source) {
+  const defaults = AppConfig.search.ratings;
+
+  return {
+    rating: parseMetafieldIdentifier(source?.rating) || parseMetafieldIdentifier(defaults.ratingMetafield),
+    count: parseMetafieldIdentifier(source?.count) || parseMetafieldIdentifier(defaults.countMetafield)
+  };
+}
+
+/**
+ * Creates a product ratings service instance
+ * @returns {Object} Ratings service with methods for enriching search results
+ */
+export function createProductRatingsService() {
+  /**
+   * Sets `rating` and `ratingCount` on product results, null when the product has no rating
+   * @param {string} shop - The shop domain
+   * @param {Array} results - Search results, updated in place
+   * @param {Object} source - Rating source from normalizeRatingSource
+   * @returns {Promise<Array>} The same results
+   */
+  const attachRatings = async (shop, results, source) => {
+    const products = results.filter(result => result.type === 'product');
+    products.forEach((product) => {
+      product.rating = null;
+      product.ratingCount = null;
+    });
+
+    // Only Storefront product GIDs can be looked up
+    const ids = [...new Set(
+      products
+        .map(product => String(product.id))
+        .filter(id => id.startsWith('gid://shopify/Product/'))
+    )];
+
+    if (!shop || ids.length === 0) {
+      return results;
+    }
+
+    const ratings = await fetchRatings(shop, ids, source);
+
+    products.forEach((product) => {
+      const rating = ratings.get(String(product.id));
+      if (rating) {
+        product.rating = rating.rating;
+        product.ratingCount = rating.ratingCount;
+      }
+    });
+
+    return results;
+  };
+
+  /**
+   * Fetches rating metafields for products
+   * @param {string} shop - The shop domain
+   * @param {Array<string>} ids - Product GIDs
+   * @param {Object} source - Rating source from normalizeRatingSource
+   * @returns {Promise<Map>} Ratings keyed by product ID, empty on error
+   */
+  const fetchRatings = async (shop, ids, source) => {
+    const ratings = new Map();
+
+    try {
+      const { storefront } = await unauthenticated.storefront(shop);
+      const response = await storefront.graphql(PRODUCT_RATINGS_QUERY, {
+        variables: {
+          ids,
+          ratingNamespace: source.rating.namespace,
+          ratingKey: source.rating.key,
+          countNamespace: source.count.namespace,
+          countKey: source.count.key
+        }
+      });
+
+      const body = await response.json();
+
+      for (const node of body.data?.nodes || []) {
+        const rating = parseRating(node?.rating);
+        if (rating === null) continue;
+
+        const ratingCount = parseInt(node.ratingCount?.value, 10);
+        ratings.set(node.id, {
+          rating,
+          ratingCount: Number.isFinite(ratingCount) ? ratingCount : null
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching product ratings:', error);
+    }
+
+    return ratings;
+  };
+
+  return {
+    attachRatings
+  };
+}
+
+/**
+ * Parses a rating metafield value into a five star rating
+ * Handles `rating` metafields ({"value": "4.5", "scale_max": "5.0"}) and plain numbers
+ * @param {Object} metafield - The metafield with `type` and `value`
+ * @returns {number|null} Rating rounded to one decimal, or null if missing or invalid
+ */
+function parseRating(metafield) {
+  if (!metafield?.value) return null;
+
+  let value = parseFloat(metafield.value);
+  let scaleMax = STAR_SCALE;
+
+  if (metafield.type === 'rating' || metafield.value.trim().startsWith('{')) {
+    try {
+      const rating = JSON.parse(metafield.value);
+      value = parseFloat(rating.value);
+      scaleMax = parseFloat(rating.scale_max) || STAR_SCALE;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Number.isFinite(value) || value < 0) return null;
+
+  const stars = Math.min(value * STAR_SCALE / scaleMax, STAR_SCALE);
+  return Math.round(stars * 10) / 10;
+}
+
+// Shared instance used by the search route
+export const productRatings = createProductRatingsService();
+
+export default {
+  createProductRatingsService,
+  normalizeRatingSource,
+  parseMetafieldIdentifier,
+  productRatings
+};
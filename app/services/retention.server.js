@@ -0,0 +1,152 @@
+/**
+ * Retention Service
+ * Deletes old conversations and expired customer tokens and code verifiers
+ */
+// Imports carry the .js extension so scripts/purge.js can run this module with plain node
+import {
+  getRetentionPolicies,
+  getConversationShops,
+  deleteConversationsOlderThan,
+  deleteExpiredCustomerTokens,
+  deleteExpiredCodeVerifiers
+} from "../db.server.js";
+import AppConfig from "./config.server.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a retention service instance
+ * @param {Object} options - Overrides for AppConfig.retention
+ * @returns {Object} Retention service with methods for purging data and reading purge metrics
+ */
+export function createRetentionService(options = {}) {
+  const settings = { ...AppConfig.retention, ...options };
+
+  // Rows removed since the process started, and by the last purge
+  const metrics = {
+    runs: 0,
+    failures: 0,
+    totals: createEmptyCounts(),
+    lastRun: null
+  };
+
+  /**
+   * Runs one purge over all shops
+   * @returns {Promise<Object>} The purge run with `startedAt`, `durationMs`, `shops` and `removed` row counts
+   */
+  const purge = async () => {
+    const startedAt = new Date();
+    const removed = createEmptyCounts();
+
+    try {
+      removed.customerTokens += await deleteExpiredCustomerTokens(AppConfig.customerAuth.refreshTokenTtlDays);
+      removed.codeVerifiers += await deleteExpiredCodeVerifiers();
+
+      const policies = new Map(
+        (await getRetentionPolicies()).map(policy => [policy.shop, policy.conversationDays])
+      );
+      const shops = new Set([...(await getConversationShops()), ...policies.keys()]);
+
+      for (const shop of shops) {
+        const conversationDays = policies.has(shop) ? policies.get(shop) : settings.conversationDays;
+        if (!conversationDays) continue;
+
+        const deleted = await deleteConversationsOlderThan(
+          shop,
+          new Date(startedAt.getTime() - conversationDays * DAY_MS)
+        );
+
+        removed.conversations += deleted.conversations;
+        removed.messages += deleted.messages;
+        removed.customerTokens += deleted.customerTokens;
+        removed.customerAccountUrls += deleted.customerAccountUrls;
+      }
+
+      const run = {
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        shops: shops.size,
+        removed
+      };
+
+      metrics.runs += 1;
+      metrics.lastRun = run;
+      for (const [table, count] of Object.entries(removed)) {
+        metrics.totals[table] += count;
+      }
+
+      console.log('Retention purge removed:', removed, `in ${run.durationMs}ms`);
+      return run;
+    } catch (error) {
+      metrics.failures += 1;
+      console.error('Error running retention purge:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Gets the purge metrics of this process
+   * @returns {Object} Metrics with `runs`, `failures`, `totals` and `lastRun`
+   */
+  const getMetrics = () => {
+    return {
+      ...metrics,
+      totals: { ...metrics.totals }
+    };
+  };
+
+  return {
+    purge,
+    getMetrics,
+    settings
+  };
+}
+
+/**
+ * Starts purging on an interval in this process
+ * Only one scheduler runs per process, development reloads reuse it
+ * @param {Object} service - Retention service from createRetentionService
+ * @returns {boolean} True if the scheduler is running
+ */
+export function startRetentionScheduler(service) {
+  if (!service.settings.schedulerEnabled) {
+    return false;
+  }
+
+  if (!global.retentionSchedulerTimer) {
+    const intervalMs = service.settings.purgeIntervalMinutes * 60 * 1000;
+    global.retentionSchedulerTimer = setInterval(() => {
+      service.purge().catch(() => {
+        // Already logged and counted in the metrics, retried on the next interval
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the purge
+    global.retentionSchedulerTimer.unref?.();
+  }
+
+  return true;
+}
+
+/**
+ * Creates zeroed row counts for a purge
+ * @returns {Object} Counts per table
+ */
+function createEmptyCounts() {
+  return {
+    conversations: 0,
+    messages: 0,
+    customerTokens: 0,
+    customerAccountUrls: 0,
+    codeVerifiers: 0
+  };
+}
+
+// Shared instance for the scheduler started with the server
+export const retentionService = createRetentionService();
+
+export default {
+  createRetentionService,
+  startRetentionScheduler,
+  retentionService
+};
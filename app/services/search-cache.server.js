@@ -0,0 +1,209 @@
+/**
+ * Search Cache Service
+ * Caches search results per shop so identical queries skip Claude and MCP round trips
+ */
+import crypto from "crypto";
+import {
+  getSearchCacheEntry,
+  storeSearchCacheEntry,
+  deleteSearchCacheEntries,
+  pruneSearchCacheEntries
+} from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Creates an in-memory LRU cache store
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of entries before the least recently used is evicted
+ * @returns {Object} Cache store
+ */
+export function createMemoryCacheStore({ maxEntries }) {
+  // Map iteration follows insertion order, so re-inserting on read keeps the oldest entry first
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = async (key, value, { shop, ttlSeconds }) => {
+    entries.delete(key);
+    entries.set(key, { value, shop, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const deleteByShop = async (shop) => {
+    let count = 0;
+    for (const [key, entry] of entries) {
+      if (entry.shop === shop) {
+        entries.delete(key);
+        count++;
+      }
+    }
+    return count;
+  };
+
+  return {
+    get,
+    set,
+    deleteByShop
+  };
+}
+
+/**
+ * Creates a cache store backed by the SearchCacheEntry table
+ * Shared across server instances, at the cost of a database round trip per lookup
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of rows kept in the table
+ * @returns {Object} Cache store
+ */
+export function createPrismaCacheStore({ maxEntries }) {
+  const get = async (key) => {
+    const entry = await getSearchCacheEntry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  };
+
+  const set = async (key, value, { shop, ttlSeconds }) => {
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    await storeSearchCacheEntry(key, shop, JSON.stringify(value), expiresAt);
+    await pruneSearchCacheEntries(maxEntries);
+  };
+
+  const deleteByShop = (shop) => deleteSearchCacheEntries(shop);
+
+  return {
+    get,
+    set,
+    deleteByShop
+  };
+}
+
+/**
+ * Creates a search cache instance
+ * @param {Object} options - Cache options, defaults to AppConfig.search.cache
+ * @param {Object} [options.store] - Cache store, created from `driver` when omitted
+ * @returns {Object} Search cache with methods for reading, writing and invalidating results
+ */
+export function createSearchCache(options = {}) {
+  const settings = { ...AppConfig.search.cache, ...options };
+  const store = settings.store || (settings.driver === 'prisma'
+    ? createPrismaCacheStore(settings)
+    : createMemoryCacheStore(settings));
+
+  /**
+   * Builds the cache key for a search
+   * @param {Object} params - Search parameters that affect the results
+   * @returns {string} Cache key
+   */
+  const buildKey = ({ shop, query, enableProducts, enableFAQ, limit, filters = null, ratingSource = null, money = null }) => {
+    const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([shop, normalizedQuery, enableProducts, enableFAQ, limit, filters, ratingSource, money]))
+      .digest('hex');
+  };
+
+  /**
+   * Gets a cached search outcome
+   * @param {Object} params - Search parameters
+   * @returns {Promise<Object|null>} The cached outcome or null on a miss
+   */
+  const get = async (params) => {
+    if (!settings.enabled) return null;
+
+    try {
+      return await store.get(buildKey(params));
+    } catch (error) {
+      console.error('Error reading search cache:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Caches a search outcome
+   * @param {Object} params - Search parameters
+   * @param {Object} value - The search outcome to cache
+   */
+  const set = async (params, value) => {
+    if (!settings.enabled) return;
+
+    try {
+      await store.set(buildKey(params), value, { shop: params.shop, ttlSeconds: settings.ttlSeconds });
+    } catch (error) {
+      console.error('Error writing search cache:', error);
+    }
+  };
+
+  /**
+   * Stores the results beyond the first page of a search so later pages can be served
+   * Result sets expire together with cached searches, keeping cached cursors valid
+   * @param {string} shop - The shop domain
+   * @param {Array} results - The remaining search results
+   * @returns {Promise<string>} The result set ID
+   */
+  const storeResultSet = async (shop, results) => {
+    const resultSetId = crypto.randomBytes(16).toString('hex');
+    await store.set(`resultset:${shop}:${resultSetId}`, results, { shop, ttlSeconds: settings.ttlSeconds });
+    return resultSetId;
+  };
+
+  /**
+   * Gets a stored result set
+   * @param {string} shop - The shop domain
+   * @param {string} resultSetId - The result set ID
+   * @returns {Promise<Array|null>} The stored results or null if unknown/expired
+   */
+  const getResultSet = async (shop, resultSetId) => {
+    try {
+      return await store.get(`resultset:${shop}:${resultSetId}`);
+    } catch (error) {
+      console.error('Error reading search result set:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Drops every cached search for a shop, e.g. after its products change
+   * @param {string} shop - The shop domain
+   * @returns {Promise<number>} The number of invalidated entries
+   */
+  const invalidateShop = async (shop) => {
+    try {
+      const count = await store.deleteByShop(shop);
+      console.log(`Invalidated ${count} cached searches for ${shop}`);
+      return count;
+    } catch (error) {
+      console.error('Error invalidating search cache:', error);
+      return 0;
+    }
+  };
+
+  return {
+    buildKey,
+    get,
+    set,
+    storeResultSet,
+    getResultSet,
+    invalidateShop
+  };
+}
+
+// Shared instance so cached results survive across requests
+export const searchCache = createSearchCache();
+
+export default {
+  createSearchCache,
+  createMemoryCacheStore,
+  createPrismaCacheStore,
+  searchCache
+};
@@ -0,0 +1,56 @@
+/**
+ * Search Classifier Service
+ * Decides whether a search query needs Claude or can be answered by the catalog directly
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Creates a search classifier instance
+ * @param {Object} options - Overrides for the heuristics in AppConfig.search.classifier
+ * @returns {Object} Classifier with methods for routing search queries
+ */
+export function createSearchClassifier(options = {}) {
+  const settings = { ...AppConfig.search.classifier, ...options };
+
+  /**
+   * Classifies a search query
+   * @param {string} query - The raw search query
+   * @returns {Object} Classification with `useLLM` flag and the `reason` behind it
+   */
+  const classify = (query) => {
+    if (!settings.fastPathEnabled) {
+      return { useLLM: true, reason: 'fast_path_disabled' };
+    }
+
+    const normalizedQuery = query.trim().toLowerCase();
+    const words = normalizedQuery.split(/[^\p{L}\p{N}'-]+/u).filter(Boolean);
+
+    // Questions need Claude to understand intent and compose an answer
+    if (normalizedQuery.includes('?') || settings.questionWords.includes(words[0])) {
+      return { useLLM: true, reason: 'question' };
+    }
+
+    if (words.some(word => settings.comparisonTerms.includes(word))) {
+      return { useLLM: true, reason: 'comparison' };
+    }
+
+    // Policy and FAQ lookups are not served by the catalog tool
+    if (words.some(word => settings.policyTerms.includes(word))) {
+      return { useLLM: true, reason: 'policy' };
+    }
+
+    if (words.length > settings.maxKeywordWords) {
+      return { useLLM: true, reason: 'long_query' };
+    }
+
+    return { useLLM: false, reason: 'keyword' };
+  };
+
+  return {
+    classify
+  };
+}
+
+export default {
+  createSearchClassifier
+};
@@ -0,0 +1,255 @@
+/**
+ * Search Facets Service
+ * Translates widget filters into catalog tool arguments and builds facet counts from catalog responses
+ */
+import { t } from "./i18n.server";
+
+/**
+ * Normalizes filters sent by the widget
+ * @param {Object} rawFilters - Filters from the request body
+ * @param {Object} [rawFilters.price] - Price range with optional `min` and `max`
+ * @param {boolean} [rawFilters.available] - Only include products in stock
+ * @param {Array<string>} [rawFilters.productTypes] - Product types to include
+ * @param {Array<string>} [rawFilters.vendors] - Vendors to include
+ * @returns {Object|null} Normalized filters, or null when no filter is set
+ */
+export function normalizeSearchFilters(rawFilters) {
+  if (!rawFilters || typeof rawFilters !== 'object') {
+    return null;
+  }
+
+  const filters = {};
+
+  const min = parseFloat(rawFilters.price?.min);
+  const max = parseFloat(rawFilters.price?.max);
+  if (Number.isFinite(min) || Number.isFinite(max)) {
+    filters.price = {};
+    if (Number.isFinite(min)) filters.price.min = min;
+    if (Number.isFinite(max)) filters.price.max = max;
+  }
+
+  if (typeof rawFilters.available === 'boolean') {
+    filters.available = rawFilters.available;
+  }
+
+  const productTypes = normalizeValues(rawFilters.productTypes);
+  if (productTypes.length > 0) {
+    filters.productTypes = productTypes;
+  }
+
+  const vendors = normalizeValues(rawFilters.vendors);
+  if (vendors.length > 0) {
+    filters.vendors = vendors;
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Builds the catalog tool `filters` argument, using Storefront API ProductFilter objects
+ * @param {Object} filters - Normalized filters
+ * @returns {Array<Object>} Product filters for the catalog tool
+ */
+export function buildCatalogFilters(filters) {
+  const catalogFilters = [];
+
+  if (filters.price) {
+    catalogFilters.push({ price: filters.price });
+  }
+
+  if (filters.available !== undefined) {
+    catalogFilters.push({ available: filters.available });
+  }
+
+  for (const productType of filters.productTypes || []) {
+    catalogFilters.push({ productType });
+  }
+
+  for (const productVendor of filters.vendors || []) {
+    catalogFilters.push({ productVendor });
+  }
+
+  return catalogFilters;
+}
+
+/**
+ * Extracts facets from a parsed catalog tool response
+ * Uses the filters advertised by the catalog when present, otherwise counts values across the returned products
+ * @param {Object} content - Parsed catalog tool response content
+ * @param {string} [locale] - Shopper locale facet labels are translated to
+ * @returns {Array<Object>} Facets with their values and counts
+ */
+export function extractFacets(content, locale) {
+  if (!content || typeof content !== 'object') {
+    return [];
+  }
+
+  const availableFilters = content.available_filters || content.filters;
+  if (Array.isArray(availableFilters) && availableFilters.length > 0) {
+    const facets = facetsFromCatalogFilters(availableFilters, locale);
+    if (facets.length > 0) {
+      return facets;
+    }
+  }
+
+  return facetsFromProducts(Array.isArray(content.products) ? content.products : [], locale);
+}
+
+/**
+ * Builds facets from Storefront API style filters, whose values carry a JSON `input`
+ * @param {Array<Object>} availableFilters - Filters advertised by the catalog
+ * @param {string} [locale] - Shopper locale
+ * @returns {Array<Object>} Facets
+ */
+function facetsFromCatalogFilters(availableFilters, locale) {
+  const facets = new Map();
+
+  for (const filter of availableFilters) {
+    for (const filterValue of filter.values || []) {
+      let input;
+      try {
+        input = typeof filterValue.input === 'string' ? JSON.parse(filterValue.input) : filterValue.input;
+      } catch (e) {
+        continue;
+      }
+      if (!input) continue;
+
+      if (input.price) {
+        facets.set('price', {
+          id: 'price',
+          label: filter.label || t('facets.price', locale),
+          type: 'range',
+          min: input.price.min ?? null,
+          max: input.price.max ?? null
+        });
+        continue;
+      }
+
+      const [id, value] = input.productVendor !== undefined
+        ? ['vendor', input.productVendor]
+        : input.productType !== undefined
+          ? ['productType', input.productType]
+          : input.available !== undefined
+            ? ['available', input.available]
+            : [];
+      if (!id) continue;
+
+      if (!facets.has(id)) {
+        facets.set(id, {
+          id,
+          label: filter.label || t(`facets.${id}`, locale),
+          type: id === 'available' ? 'boolean' : 'list',
+          values: []
+        });
+      }
+
+      facets.get(id).values.push({
+        value,
+        label: filterValue.label || String(value),
+        count: filterValue.count ?? null
+      });
+    }
+  }
+
+  return Array.from(facets.values());
+}
+
+/**
+ * Builds facets by counting values across catalog products
+ * @param {Array<Object>} products - Raw catalog products
+ * @param {string} [locale] - Shopper locale
+ * @returns {Array<Object>} Facets
+ */
+function facetsFromProducts(products, locale) {
+  const vendors = new Map();
+  const productTypes = new Map();
+  const availability = new Map();
+  let minPrice = Infinity;
+  let maxPrice = -Infinity;
+
+  const increment = (counts, value) => counts.set(value, (counts.get(value) || 0) + 1);
+
+  for (const product of products) {
+    if (product.vendor) {
+      increment(vendors, product.vendor);
+    }
+
+    const productType = product.product_type || product.productType;
+    if (productType) {
+      increment(productTypes, productType);
+    }
+
+    const available = product.available ?? product.availableForSale
+      ?? (Array.isArray(product.variants) && product.variants.length > 0
+        ? product.variants.some(variant => variant.available || variant.availableForSale)
+        : undefined);
+    if (available !== undefined) {
+      increment(availability, Boolean(available));
+    }
+
+    const range = product.price_range || product.priceRange;
+    const low = parseFloat(range?.min ?? range?.minVariantPrice?.amount);
+    const high = parseFloat(range?.max ?? range?.maxVariantPrice?.amount ?? low);
+    if (Number.isFinite(low)) minPrice = Math.min(minPrice, low);
+    if (Number.isFinite(high)) maxPrice = Math.max(maxPrice, high);
+  }
+
+  const listFacet = (id, counts) => ({
+    id,
+    label: t(`facets.${id}`, locale),
+    type: 'list',
+    values: Array.from(counts, ([value, count]) => ({ value, label: value, count }))
+      .sort((a, b) => b.count - a.count)
+  });
+
+  const facets = [];
+
+  if (vendors.size > 0) {
+    facets.push(listFacet('vendor', vendors));
+  }
+
+  if (productTypes.size > 0) {
+    facets.push(listFacet('productType', productTypes));
+  }
+
+  if (availability.size > 0) {
+    facets.push({
+      id: 'available',
+      label: t('facets.available', locale),
+      type: 'boolean',
+      values: Array.from(availability, ([value, count]) => ({
+        value,
+        label: t(value ? 'facets.inStock' : 'facets.outOfStock', locale),
+        count
+      }))
+    });
+  }
+
+  if (Number.isFinite(minPrice)) {
+    facets.push({ id: 'price', label: t('facets.price', locale), type: 'range', min: minPrice, max: maxPrice });
+  }
+
+  return facets;
+}
+
+/**
+ * Cleans a list of filter values
+ * @param {Array|string} values - Raw values
+ * @returns {Array<string>} Trimmed, non-empty, unique values
+ */
+function normalizeValues(values) {
+  const list = Array.isArray(values) ? values : values ? [values] : [];
+
+  return [...new Set(
+    list
+      .filter(value => typeof value === 'string')
+      .map(value => value.trim())
+      .filter(Boolean)
+  )];
+}
+
+export default {
+  normalizeSearchFilters,
+  buildCatalogFilters,
+  extractFacets
+};
@@ -0,0 +1,197 @@
+/**
+ * Search Suggest Service
+ * Builds typeahead suggestions from Storefront predictive search and popular past queries
+ */
+import { recordSearchQuery, getPopularSearchQueries } from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import AppConfig from "./config.server";
+import { formatProductPrice } from "./money.server";
+import { getStorefrontContext } from "./i18n.server";
+import { createMemoryCacheStore } from "./search-cache.server";
+
+const PREDICTIVE_SEARCH_QUERY = `#graphql
+  query predictiveSearch($query: String!, $limit: Int!, $language: LanguageCode, $country: CountryCode)
+  @inContext(language: $language, country: $country) {
+    predictiveSearch(query: $query, limit: $limit, limitScope: EACH, types: [QUERY, PRODUCT]) {
+      queries {
+        text
+      }
+      products {
+        id
+        title
+        handle
+        featuredImage {
+          url
+        }
+        priceRange {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+          maxVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+        compareAtPriceRange {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+      }
+    }
+  }`;
+
+/**
+ * Normalizes a query so equivalent searches share suggestions and stats
+ * @param {string} query - The raw query
+ * @returns {string} Lowercased query with collapsed whitespace
+ */
+export function normalizeSuggestQuery(query) {
+  return (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Checks whether a query looks like personal data rather than a product search
+ * @param {string} query - The normalized query
+ * @returns {boolean} True for email addresses, phone or order numbers and other long digit runs
+ */
+function looksPersonal(query) {
+  return /\S+@\S+/.test(query) || /^[#\d\s()+.-]+$/.test(query) || /\d{6,}/.test(query);
+}
+
+/**
+ * Creates a search suggest service instance
+ * @param {Object} options - Overrides for AppConfig.search.suggest
+ * @param {Object} [options.store] - Cache store, an in-memory LRU when omitted
+ * @returns {Object} Suggest service with methods for suggesting and recording queries
+ */
+export function createSearchSuggestService(options = {}) {
+  const settings = { ...AppConfig.search.suggest, ...options };
+  const store = settings.store || createMemoryCacheStore(settings);
+
+  /**
+   * Gets suggestions for a partially typed query
+   * @param {Object} params - Suggest parameters
+   * @param {string} params.shop - The shop domain
+   * @param {string} params.query - The partial query
+   * @param {Object} params.money - Locale and currency product prices are formatted in
+   * @returns {Promise<Object>} Suggestions with `queries`, `products` and `popular` lists
+   */
+  const getSuggestions = async ({ shop, query, money }) => {
+    const normalizedQuery = normalizeSuggestQuery(query);
+
+    if (!shop || normalizedQuery.length < settings.minQueryLength) {
+      return { queries: [], products: [], popular: [] };
+    }
+
+    const cacheKey = `suggest:${shop}:${money.locale}:${money.country || ''}:${money.currency || ''}:${normalizedQuery}`;
+    const cached = await store.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const [predictions, popularQueries] = await Promise.all([
+      fetchPredictions(shop, normalizedQuery, money),
+      getPopularSearchQueries(shop, normalizedQuery, settings.maxPopularQueries, settings.minPopularCount)
+    ]);
+
+    const popular = popularQueries.map(stat => ({ text: stat.query, count: stat.count }));
+    const popularTexts = new Set(popular.map(suggestion => suggestion.text));
+
+    const suggestions = {
+      // Popular queries are listed separately, so skip completions that repeat them
+      queries: predictions.queries
+        .filter(suggestion => !popularTexts.has(normalizeSuggestQuery(suggestion.text)))
+        .slice(0, settings.maxQueries),
+      products: predictions.products.slice(0, settings.maxProducts),
+      popular
+    };
+
+    await store.set(cacheKey, suggestions, { shop, ttlSeconds: settings.ttlSeconds });
+
+    return suggestions;
+  };
+
+  /**
+   * Counts a submitted search towards the popular queries of a shop
+   * Queries that look like personal data are never stored
+   * @param {string} shop - The shop domain
+   * @param {string} query - The submitted query
+   * @returns {Promise<void>}
+   */
+  const recordQuery = async (shop, query) => {
+    const normalizedQuery = normalizeSuggestQuery(query);
+
+    if (!shop || normalizedQuery.length < settings.minQueryLength || looksPersonal(normalizedQuery)) {
+      return;
+    }
+
+    await recordSearchQuery(shop, normalizedQuery);
+  };
+
+  /**
+   * Fetches query completions and matching products from Storefront predictive search
+   * @param {string} shop - The shop domain
+   * @param {string} query - The normalized query
+   * @param {Object} money - Locale and currency product prices are formatted in
+   * @returns {Promise<Object>} Predictions with `queries` and `products`, empty on error
+   */
+  const fetchPredictions = async (shop, query, money) => {
+    try {
+      const { storefront } = await unauthenticated.storefront(shop);
+      const response = await storefront.graphql(PREDICTIVE_SEARCH_QUERY, {
+        variables: {
+          query,
+          limit: Math.max(settings.maxQueries, settings.maxProducts),
+          ...getStorefrontContext(money.locale, money.country)
+        }
+      });
+
+      const body = await response.json();
+      const predictiveSearch = body.data?.predictiveSearch || {};
+
+      return {
+        queries: (predictiveSearch.queries || []).map(suggestion => ({ text: suggestion.text })),
+        products: (predictiveSearch.products || []).map(product => formatProductSuggestion(product, money))
+      };
+    } catch (error) {
+      console.error('Error fetching predictive search suggestions:', error);
+      return { queries: [], products: [] };
+    }
+  };
+
+  return {
+    getSuggestions,
+    recordQuery
+  };
+}
+
+/**
+ * Formats a predictive search product for the widget dropdown
+ * @param {Object} product - Storefront API product
+ * @param {Object} money - Locale and currency the price is formatted in
+ * @returns {Object} Product suggestion
+ */
+function formatProductSuggestion(product, money) {
+  const { price, compareAtPrice } = formatProductPrice(product, money);
+
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    image: product.featuredImage?.url || null,
+    price,
+    compareAtPrice
+  };
+}
+
+// Shared instance so cached suggestions survive across requests
+export const searchSuggestService = createSearchSuggestService();
+
+export default {
+  createSearchSuggestService,
+  normalizeSuggestQuery,
+  searchSuggestService
+};
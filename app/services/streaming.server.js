@@ -2,14 +2,17 @@
  * Streaming Service
  * Provides utilities for handling server-sent events (SSE) streams
  */
+import { t } from "./i18n.server";
 
 /**
  * Creates a StreamManager to handle SSE streams with proper backpressure
  * @param {TextEncoder} encoder - A TextEncoder instance
  * @param {ReadableStreamDefaultController} controller - The stream controller
+ * @param {Object} [options] - Stream options
+ * @param {string} [options.locale] - Shopper locale error messages are translated to
  * @returns {Object} StreamManager with utility methods for handling streaming
  */
-export function createStreamManager(encoder, controller) {
+export function createStreamManager(encoder, controller, { locale } = {}) {
   /**
    * Send a data message to the client
    * @param {Object} data - Data to send
@@ -55,19 +58,19 @@ export function createStreamManager(encoder, controller) {
     if (error.status === 401 || error.message.includes('auth') || error.message.includes('key')) {
       sendError({
         type: 'error',
-        error: 'Authentication failed with Claude API',
-        details: 'Please check your API key in environment variables'
+        error: t('errorMessages.authFailed', locale),
+        details: t('errorMessages.apiKeyError', locale)
       });
     } else if (error.status === 429 || error.status === 529 || error.message.includes('Overloaded')) {
       sendError({
         type: 'rate_limit_exceeded',
-        error: 'Rate limit exceeded',
-        details: 'Please try again later'
+        error: t('errorMessages.rateLimitExceeded', locale),
+        details: t('errorMessages.rateLimitDetails', locale)
       });
     } else {
       sendError({
         type: 'error',
-        error: 'Failed to get response from Claude',
+        error: t('errorMessages.genericError', locale),
         details: error.message
       });
     }
@@ -84,14 +87,15 @@ export function createStreamManager(encoder, controller) {
 /**
  * Creates a ReadableStream for SSE
  * @param {Function} streamHandler - Async function that handles the stream
+ * @param {Object} [options] - Stream options, see createStreamManager
  * @returns {ReadableStream} A readable stream for SSE
  */
-export function createSseStream(streamHandler) {
+export function createSseStream(streamHandler, options = {}) {
   const encoder = new TextEncoder();
   
   return new ReadableStream({
     async start(controller) {
-      const streamManager = createStreamManager(encoder, controller);
+      const streamManager = createStreamManager(encoder, controller, options);
       
       try {
         await streamHandler(streamManager);
@@ -4,12 +4,21 @@
  */
 import { saveMessage } from "../db.server";
 import AppConfig from "./config.server";
+import { formatProductPrice, normalizeMoneyOptions } from "./money.server";
 
 /**
  * Creates a tool service instance
+ * @param {Object} [options] - Tool service options
+ * @param {string} [options.locale] - Shopper locale product prices are formatted in
+ * @param {string} [options.country] - Shopper country, refines the locale
+ * @param {string} [options.currency] - Presentment currency
+ * @param {string} [options.shop] - The shop domain tool results are saved under
  * @returns {Object} Tool service with methods for managing tools
  */
-export function createToolService() {
+export function createToolService(options = {}) {
+  const money = normalizeMoneyOptions(options);
+  const shop = options.shop || '';
+
   /**
    * Handles a tool error response
    * @param {Object} toolUseResponse - The error response from the tool
@@ -94,16 +103,13 @@ export function createToolService() {
    * @returns {Object} Formatted product data
    */
   const formatProductData = (product) => {
-    const price = product.price_range
-      ? `${product.price_range.currency} ${product.price_range.min}`
-      : (product.variants && product.variants.length > 0
-        ? `${product.variants[0].currency} ${product.variants[0].price}`
-        : 'Price not available');
+    const { price, compareAtPrice } = formatProductPrice(product, money);
 
     return {
       id: product.product_id || `product-${Math.random().toString(36).substring(7)}`,
       title: product.title || 'Product',
       price: price,
+      compare_at_price: compareAtPrice,
       image_url: product.image_url || '',
       description: product.description || '',
       url: product.url || ''
@@ -133,7 +139,7 @@ export function createToolService() {
     // Save to database with special format to indicate tool result
     if (conversationId) {
       try {
-        await saveMessage(conversationId, 'user', JSON.stringify(toolResultMessage.content));
+        await saveMessage(shop, conversationId, 'user', JSON.stringify(toolResultMessage.content));
       } catch (error) {
         console.error('Error saving tool result to database:', error);
       }
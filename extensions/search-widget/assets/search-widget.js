@@ -12,6 +12,15 @@
   let isTransitioning = false;
   let query = '';
   let results = [];
+  let activeQuery = '';
+  let nextCursor = null;
+  let isLoadingMore = false;
+  let facets = [];
+  let activeFilters = {};
+  let suggestions = [];
+  let activeSuggestionIndex = -1;
+  let suggestTimeout = null;
+  let suggestController = null;
   let currentIconIndex = 0;
 
   // AI Icons for rotation (using SVG path data)
@@ -35,26 +44,57 @@
   let bubble;
   let interface_;
   let input;
+  let suggestionsList;
   let button;
   let loading;
   let loadingIcon;
   let resultsPanel;
   let resultsContent;
+  let resultsFilters;
   let resultsClose;
 
   // Configuration from Liquid template
   const config = window.searchWidgetConfig || {};
 
-  // Hardcoded mapping of shop domains to app URLs
-  // This removes the need for manual configuration
-  const APP_URL_MAPPING = {
-    // Add your shop domains and their corresponding app URLs here
-    'tuki-storefront.myshopify.com': 'https://often-dialog-personally-networking.trycloudflare.com',
-    // Add more mappings as needed
-    // 'another-shop.myshopify.com': 'https://another-app-url.com',
+  // Translate a UI string; translations come from the extension locale files via the Liquid template
+  function t(key, values) {
+    const template = (config.strings && config.strings[key]) || key;
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      values && values[name] !== undefined ? values[name] : placeholder
+    ));
+  }
+
+  // Translate a string with one/other plural forms, e.g. reviewCountOne and reviewCountOther
+  function tPlural(key, count) {
+    let category = 'other';
+    try {
+      category = new Intl.PluralRules(config.locale || undefined).select(count);
+    } catch (error) {
+      category = count === 1 ? 'one' : 'other';
+    }
+
+    const suffix = category === 'one' ? 'One' : 'Other';
+    return t(`${key}${suffix}`, { count: count });
+  }
+
+  // Wait this long after the last keystroke before asking for suggestions
+  const SUGGEST_DEBOUNCE_MS = 150;
+  const SUGGEST_MIN_QUERY_LENGTH = 2;
+
+  // Request filter keys for each facet returned by the search endpoint
+  const FACET_FILTER_KEYS = {
+    vendor: 'vendors',
+    productType: 'productTypes',
+    available: 'available',
+    price: 'price'
   };
 
-  // Determine the API endpoint automatically
+  // App Proxy path the app registers in shopify.app.toml ([app_proxy] prefix/subpath),
+  // Shopify forwards requests on the shop's own origin to the app and signs them
+  const APP_PROXY_PATH = 'apps/ai-search';
+
+  // Determine the API endpoint
   function getApiEndpoint() {
     // Use custom endpoint if provided
     if (config.customApiEndpoint) {
@@ -62,37 +102,9 @@
       return config.customApiEndpoint;
     }
 
-    // For development environments
-    if (window.location.hostname === 'localhost' || 
-        window.location.hostname.includes('127.0.0.1') ||
-        window.location.hostname.includes('ngrok')) {
-      console.log('Detected development environment');
-      return 'http://localhost:3000/search';
-    }
-
-    // Get the current shop domain from the configuration
-    const shopDomain = config.shopDomain;
-    
-    // Look up the app URL in our mapping
-    if (shopDomain && APP_URL_MAPPING[shopDomain]) {
-      const appUrl = APP_URL_MAPPING[shopDomain];
-      console.log(`Using mapped app URL for ${shopDomain}:`, appUrl);
-      return `${appUrl}/search`;
-    }
-
-    // For Cloudflare tunnels - check if we're on a cloudflare domain (development)
-    if (window.location.hostname.includes('trycloudflare.com')) {
-      const cloudflareUrl = window.location.origin + '/search';
-      console.log('Detected Cloudflare tunnel, using same origin:', cloudflareUrl);
-      return cloudflareUrl;
-    }
-
-    // If we can't determine the app URL, log an error with instructions
-    console.error('❌ App URL mapping not found for shop:', shopDomain);
-    console.error('Please add the mapping to APP_URL_MAPPING in search-widget.js:');
-    console.error(`'${shopDomain}': 'YOUR_APP_URL_HERE',`);
-    
-    return null; // Return null to trigger fallback to mock data
+    // Shopify.routes.root keeps the market / language prefix, e.g. "/fr/"
+    const root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+    return `${root}${APP_PROXY_PATH}/search`;
   }
 
   // Icon rotation interval
@@ -247,7 +259,7 @@
     if (!config.apiEndpoint) {
       console.error('❌ No valid API endpoint found. Please configure the App URL in widget settings.');
       // Show error message to user
-      alert('Search is not configured properly. Please contact the store administrator to set up the App URL in the widget settings.');
+      alert(t('notConfigured'));
       return;
     }
 
@@ -258,6 +270,24 @@
       input.blur();
     }
 
+    hideSuggestions();
+
+    activeQuery = query;
+    activeFilters = {};
+
+    await executeSearchRequest();
+  }
+
+  // Re-run the active search with new filters; the server skips Claude when filters are set
+  async function applyFilters(filters) {
+    if (!activeQuery || !config.apiEndpoint) return;
+
+    activeFilters = filters;
+    await executeSearchRequest();
+  }
+
+  // Request the first page of the active search and render it
+  async function executeSearchRequest() {
     isLoading = true;
     if (!isMobile) {
       isExpanded = true;
@@ -268,38 +298,63 @@
     console.log('Search state updated - Loading:', isLoading);
     updateWidgetState();
 
-    try {
-      // Prepare headers for the request
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-
-      // Add origin header for CORS
-      if (window.location.origin) {
-        headers['Origin'] = window.location.origin;
-      }
+    nextCursor = null;
 
+    try {
       console.log('Making search request to:', config.apiEndpoint);
+      // Ask for a stream so results render as they arrive
       const response = await fetch(config.apiEndpoint, {
         method: 'POST',
-        headers: headers,
-        body: JSON.stringify({
-          query: query,
-          shopId: config.shopId,
-          enableProducts: config.enableProducts,
-          enableFAQ: config.enableFAQ,
-          limit: config.resultsPerPage || 4
-        })
+        headers: getRequestHeaders(true),
+        body: JSON.stringify(buildSearchRequestBody())
       });
 
-      if (response.ok) {
-        results = await response.json();
-        console.log('API results received:', results);
+      let streamed = false;
+
+      if (response.ok && (response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        streamed = true;
+        results = [];
+        if (resultsContent) {
+          resultsContent.innerHTML = '';
+        }
+
+        await readSearchStream(response, (event) => {
+          if (event.type === 'result') {
+            results.push(event.result);
+
+            // Swap the loading animation for the results panel on the first result
+            if (isLoading) {
+              isLoading = false;
+              showResults = true;
+              updateWidgetState();
+            }
+
+            appendResult(event.result);
+          } else if (event.type === 'done') {
+            console.log('Search stream completed with', event.count, 'results');
+            nextCursor = event.nextCursor || null;
+            facets = event.facets || [];
+            renderLoadMoreButton();
+            renderFilterBar();
+          } else if (event.error) {
+            console.error('Search stream error:', event.error, event.details);
+            if (results.length === 0) {
+              throw new Error(event.error);
+            }
+          }
+        });
+      } else if (response.ok) {
+        const data = await response.json();
+        console.log('API results received:', data);
         
-        // Ensure results is an array
-        if (!Array.isArray(results)) {
-          console.warn('API returned non-array results, converting:', results);
-          results = results.results || results.data || [];
+        // Results arrive wrapped in an envelope with the cursor for the next page
+        if (Array.isArray(data)) {
+          results = data;
+          facets = [];
+        } else {
+          results = data.results || data.data || [];
+          nextCursor = data.nextCursor || null;
+          facets = data.facets || [];
         }
       } else {
         console.error('Search API request failed with status:', response.status, response.statusText);
@@ -320,7 +375,11 @@
       showResults = true;
       console.log('Search completed - Loading:', isLoading, 'ShowResults:', showResults);
       
-      displayResults();
+      // Streamed results have already been rendered one by one
+      if (!streamed) {
+        displayResults();
+      }
+      renderFilterBar();
       updateWidgetState();
     } catch (error) {
       console.error('Search error:', error);
@@ -329,13 +388,380 @@
       // Show error state or fallback to mock data
       console.log('Falling back to mock data due to error');
       results = await getMockResults();
+      nextCursor = null;
+      facets = [];
       showResults = true;
       console.log('Fallback results received:', results);
       displayResults();
+      renderFilterBar();
       updateWidgetState();
     }
   }
 
+  // Build request headers for the search endpoint
+  function getRequestHeaders(stream) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (stream) {
+      headers['Accept'] = 'text/event-stream';
+    }
+
+    // Add origin header for CORS
+    if (window.location.origin) {
+      headers['Origin'] = window.location.origin;
+    }
+
+    return headers;
+  }
+
+  // Build the request body for the active search, merged with any extra fields
+  function buildSearchRequestBody(extra) {
+    const body = {
+      query: activeQuery,
+      shopId: config.shopId,
+      enableProducts: config.enableProducts,
+      enableFAQ: config.enableFAQ,
+      limit: config.resultsPerPage || 4,
+      locale: config.locale,
+      country: config.country,
+      currency: config.currency,
+      ratingMetafields: {
+        rating: config.ratingMetafield,
+        count: config.ratingCountMetafield
+      }
+    };
+
+    if (hasActiveFilters()) {
+      body.filters = activeFilters;
+    }
+
+    return Object.assign(body, extra);
+  }
+
+  // Whether any filter is applied to the active search
+  function hasActiveFilters() {
+    return Object.keys(activeFilters).length > 0;
+  }
+
+  // Fetch the next page of the active search and append it to the results panel
+  async function loadMoreResults() {
+    if (!nextCursor || isLoadingMore) return;
+
+    isLoadingMore = true;
+    const loadMoreButton = resultsContent && resultsContent.querySelector('.search-results-load-more');
+    if (loadMoreButton) {
+      loadMoreButton.disabled = true;
+      loadMoreButton.textContent = t('loadingMore');
+    }
+
+    try {
+      const response = await fetch(config.apiEndpoint, {
+        method: 'POST',
+        headers: getRequestHeaders(false),
+        body: JSON.stringify(buildSearchRequestBody({ cursor: nextCursor }))
+      });
+
+      if (!response.ok) {
+        throw new Error(`Load more request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      nextCursor = data.nextCursor || null;
+
+      if (loadMoreButton) {
+        loadMoreButton.remove();
+      }
+
+      (data.results || []).forEach((result) => {
+        results.push(result);
+        appendResult(result);
+      });
+    } catch (error) {
+      console.error('Load more error:', error);
+      nextCursor = null;
+    } finally {
+      isLoadingMore = false;
+      renderLoadMoreButton();
+    }
+  }
+
+  // Read a server-sent events response, calling onEvent with each parsed data message
+  async function readSearchStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line; keep any partial event in the buffer
+      const rawEvents = buffer.split('\n\n');
+      buffer = rawEvents.pop();
+
+      for (const rawEvent of rawEvents) {
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data: '))
+          .map(line => line.slice(6))
+          .join('\n');
+
+        if (!data) continue;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (error) {
+          console.error('Error parsing search stream event:', error, data);
+          continue;
+        }
+
+        onEvent(event);
+      }
+    }
+  }
+
+  // Suggestions are served next to the search route, custom endpoints don't provide them
+  function getSuggestEndpoint() {
+    if (!config.apiEndpoint || !/\/search\/?$/.test(config.apiEndpoint)) {
+      return null;
+    }
+
+    return config.apiEndpoint.replace(/\/?$/, '/suggest');
+  }
+
+  // Debounce suggestion requests while the shopper is typing
+  function scheduleSuggestions() {
+    clearTimeout(suggestTimeout);
+
+    if (query.trim().length < SUGGEST_MIN_QUERY_LENGTH) {
+      hideSuggestions();
+      return;
+    }
+
+    suggestTimeout = setTimeout(fetchSuggestions, SUGGEST_DEBOUNCE_MS);
+  }
+
+  // Fetch suggestions for the current input, dropping any request still in flight
+  async function fetchSuggestions() {
+    const endpoint = config.suggestEndpoint;
+    if (!endpoint) return;
+
+    if (suggestController) {
+      suggestController.abort();
+    }
+    suggestController = new AbortController();
+
+    const suggestQuery = query.trim();
+
+    const params = new URLSearchParams({ q: suggestQuery });
+    ['locale', 'country', 'currency'].forEach((key) => {
+      if (config[key]) {
+        params.set(key, config[key]);
+      }
+    });
+
+    try {
+      const response = await fetch(`${endpoint}?${params.toString()}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: suggestController.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Suggest request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      // Ignore responses for a query the shopper has already changed
+      if (suggestQuery !== query.trim()) return;
+
+      renderSuggestions(data);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Suggest error:', error);
+        hideSuggestions();
+      }
+    }
+  }
+
+  // Render the suggestion dropdown, grouped into popular searches, completions and products
+  function renderSuggestions(data) {
+    if (!suggestionsList) return;
+
+    suggestions = [];
+    activeSuggestionIndex = -1;
+    suggestionsList.innerHTML = '';
+
+    const groups = [
+      { title: t('popularSearches'), type: 'query', items: data.popular || [] },
+      { title: t('suggestions'), type: 'query', items: data.queries || [] },
+      { title: t('products'), type: 'product', items: data.products || [] }
+    ];
+
+    groups.forEach((group) => {
+      if (group.items.length === 0) return;
+
+      const heading = document.createElement('div');
+      heading.className = 'search-suggestion-heading';
+      heading.textContent = group.title;
+      suggestionsList.appendChild(heading);
+
+      group.items.forEach((item) => {
+        const suggestion = Object.assign({ type: group.type }, item);
+        const option = createSuggestionOption(suggestion, suggestions.length);
+        suggestions.push(suggestion);
+        suggestionsList.appendChild(option);
+      });
+    });
+
+    if (suggestions.length === 0) {
+      hideSuggestions();
+      return;
+    }
+
+    suggestionsList.classList.add('active');
+    if (input) {
+      input.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  // Create a dropdown option for a query or product suggestion
+  function createSuggestionOption(suggestion, index) {
+    const option = document.createElement('div');
+    option.className = `search-suggestion search-suggestion-${suggestion.type}`;
+    option.id = `search-widget-suggestion-${index}`;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+
+    if (suggestion.type === 'product') {
+      if (suggestion.image) {
+        const image = document.createElement('img');
+        image.src = suggestion.image;
+        image.alt = '';
+        image.loading = 'lazy';
+        option.appendChild(image);
+      }
+
+      const title = document.createElement('span');
+      title.className = 'search-suggestion-title';
+      title.textContent = suggestion.title;
+      option.appendChild(title);
+
+      if (suggestion.price) {
+        const price = document.createElement('span');
+        price.className = 'search-suggestion-price';
+        price.textContent = suggestion.price;
+        option.appendChild(price);
+      }
+    } else {
+      option.textContent = suggestion.text;
+    }
+
+    // Keep focus in the input so the dropdown doesn't close before the click lands
+    option.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+    });
+    option.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      selectSuggestion(suggestion);
+    });
+    option.addEventListener('mouseenter', () => {
+      setActiveSuggestion(index);
+    });
+
+    return option;
+  }
+
+  // Search for a suggested query, or open a suggested product
+  function selectSuggestion(suggestion) {
+    hideSuggestions();
+
+    if (suggestion.type === 'product') {
+      if (suggestion.handle) {
+        window.location.href = `/products/${suggestion.handle}`;
+      }
+      return;
+    }
+
+    query = suggestion.text;
+    if (input) {
+      input.value = suggestion.text;
+    }
+    handleSearch();
+  }
+
+  // Highlight a suggestion for keyboard navigation
+  function setActiveSuggestion(index) {
+    if (!suggestionsList) return;
+
+    activeSuggestionIndex = index;
+
+    suggestionsList.querySelectorAll('.search-suggestion').forEach((option, optionIndex) => {
+      const isActive = optionIndex === index;
+      option.classList.toggle('active', isActive);
+      option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+      if (isActive) {
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    if (input) {
+      if (index >= 0) {
+        input.setAttribute('aria-activedescendant', `search-widget-suggestion-${index}`);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    }
+  }
+
+  // Close the suggestion dropdown and cancel any pending request
+  function hideSuggestions() {
+    clearTimeout(suggestTimeout);
+    if (suggestController) {
+      suggestController.abort();
+      suggestController = null;
+    }
+
+    suggestions = [];
+    activeSuggestionIndex = -1;
+
+    if (suggestionsList) {
+      suggestionsList.classList.remove('active');
+      suggestionsList.innerHTML = '';
+    }
+
+    if (input) {
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // Arrow keys move through the suggestions, Enter picks the highlighted one, Escape closes them
+  function handleSuggestionKeyDown(e) {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestionIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(activeSuggestionIndex <= 0 ? suggestions.length - 1 : activeSuggestionIndex - 1);
+    } else if (e.key === 'Enter' && activeSuggestionIndex >= 0) {
+      // Prevents the keypress handler from also searching for the typed text
+      e.preventDefault();
+      selectSuggestion(suggestions[activeSuggestionIndex]);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      hideSuggestions();
+    }
+  }
+
   // Mock search results for development/fallback
   async function getMockResults() {
     return new Promise((resolve) => {
@@ -421,29 +847,226 @@
 
     results.forEach((result, index) => {
       console.log(`Processing result ${index}:`, result.type, result.name || result.question);
-      if (result.type === 'product') {
-        const productCard = createProductCard(result);
-        resultsContent.appendChild(productCard);
-      } else if (result.type === 'faq') {
-        const faqTile = createFAQTile(result);
-        resultsContent.appendChild(faqTile);
-      }
+      appendResult(result);
     });
 
+    renderLoadMoreButton();
+
     console.log('Results display completed, content added to resultsContent');
   }
 
+  // Show a "Show more" button after the results while another page is available
+  function renderLoadMoreButton() {
+    if (!resultsContent) return;
+
+    const existingButton = resultsContent.querySelector('.search-results-load-more');
+    if (existingButton) {
+      existingButton.remove();
+    }
+
+    if (!nextCursor) return;
+
+    const loadMoreButton = document.createElement('button');
+    loadMoreButton.type = 'button';
+    loadMoreButton.className = 'search-results-load-more';
+    loadMoreButton.textContent = t('showMore');
+    loadMoreButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      loadMoreResults();
+    });
+
+    resultsContent.appendChild(loadMoreButton);
+  }
+
+  // Render the filter bar from the facets of the latest search
+  function renderFilterBar() {
+    if (!resultsFilters) return;
+
+    resultsFilters.innerHTML = '';
+
+    if (facets.length === 0 && !hasActiveFilters()) {
+      resultsFilters.classList.remove('active');
+      return;
+    }
+
+    facets.forEach((facet) => {
+      const filterKey = FACET_FILTER_KEYS[facet.id];
+      if (!filterKey) return;
+
+      let control = null;
+      if (facet.type === 'list') {
+        control = createListFilter(facet, filterKey);
+      } else if (facet.type === 'boolean') {
+        control = createAvailabilityFilter(filterKey);
+      } else if (facet.type === 'range') {
+        control = createPriceFilter(facet, filterKey);
+      }
+
+      if (control) {
+        resultsFilters.appendChild(control);
+      }
+    });
+
+    if (hasActiveFilters()) {
+      const clearButton = document.createElement('button');
+      clearButton.type = 'button';
+      clearButton.className = 'search-filter-clear';
+      clearButton.textContent = t('clearFilters');
+      clearButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        applyFilters({});
+      });
+      resultsFilters.appendChild(clearButton);
+    }
+
+    resultsFilters.classList.add('active');
+  }
+
+  // Copy the active filters with one key replaced, dropping it when empty
+  function withFilter(filterKey, value) {
+    const filters = Object.assign({}, activeFilters);
+
+    if (value === undefined) {
+      delete filters[filterKey];
+    } else {
+      filters[filterKey] = value;
+    }
+
+    return filters;
+  }
+
+  // Create a select for a facet with a list of values, e.g. vendor or product type
+  function createListFilter(facet, filterKey) {
+    const select = document.createElement('select');
+    select.className = 'search-filter-select';
+    select.setAttribute('aria-label', facet.label);
+
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = t('filterAny', { label: facet.label });
+    select.appendChild(allOption);
+
+    const selected = (activeFilters[filterKey] || [])[0];
+
+    facet.values.forEach((facetValue) => {
+      const option = document.createElement('option');
+      option.value = facetValue.value;
+      option.textContent = facetValue.count !== null && facetValue.count !== undefined
+        ? `${facetValue.label} (${facetValue.count})`
+        : facetValue.label;
+      option.selected = facetValue.value === selected;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      applyFilters(withFilter(filterKey, select.value ? [select.value] : undefined));
+    });
+
+    return select;
+  }
+
+  // Create the "In stock only" checkbox
+  function createAvailabilityFilter(filterKey) {
+    const label = document.createElement('label');
+    label.className = 'search-filter-checkbox';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = activeFilters[filterKey] === true;
+    checkbox.addEventListener('change', () => {
+      applyFilters(withFilter(filterKey, checkbox.checked ? true : undefined));
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(t('inStockOnly')));
+
+    return label;
+  }
+
+  // Create min/max inputs for the price range, using the facet bounds as placeholders
+  function createPriceFilter(facet, filterKey) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'search-filter-price';
+
+    const current = activeFilters[filterKey] || {};
+    const createInput = (bound, placeholder) => {
+      const priceInput = document.createElement('input');
+      priceInput.type = 'number';
+      priceInput.min = '0';
+      priceInput.step = 'any';
+      priceInput.className = 'search-filter-price-input';
+      priceInput.setAttribute('aria-label', t(bound === 'min' ? 'minPrice' : 'maxPrice'));
+      priceInput.placeholder = placeholder !== null && placeholder !== undefined ? String(Math.floor(placeholder)) : bound;
+      if (current[bound] !== undefined) {
+        priceInput.value = current[bound];
+      }
+      return priceInput;
+    };
+
+    const minInput = createInput('min', facet.min);
+    const maxInput = createInput('max', facet.max === null || facet.max === undefined ? null : Math.ceil(facet.max));
+
+    const applyPrice = () => {
+      const price = {};
+      if (minInput.value !== '') price.min = parseFloat(minInput.value);
+      if (maxInput.value !== '') price.max = parseFloat(maxInput.value);
+      applyFilters(withFilter(filterKey, Object.keys(price).length > 0 ? price : undefined));
+    };
+
+    minInput.addEventListener('change', applyPrice);
+    maxInput.addEventListener('change', applyPrice);
+
+    const separator = document.createElement('span');
+    separator.textContent = '–';
+
+    wrapper.appendChild(minInput);
+    wrapper.appendChild(separator);
+    wrapper.appendChild(maxInput);
+
+    return wrapper;
+  }
+
+  // Render a single result at the end of the results panel
+  function appendResult(result) {
+    if (!resultsContent) return;
+
+    if (result.type === 'product') {
+      const productCard = createProductCard(result);
+      resultsContent.appendChild(productCard);
+    } else if (result.type === 'faq') {
+      const faqTile = createFAQTile(result);
+      resultsContent.appendChild(faqTile);
+    }
+  }
+
   // Create product card element
   function createProductCard(product) {
     const card = document.createElement('div');
     card.className = 'search-product-card';
     
-    const stars = Array.from({length: 5}, (_, i) => {
-      const filled = i < Math.floor(product.rating);
-      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" ${filled ? 'fill="currentColor"' : 'fill="none"'} stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
-      </svg>`;
-    }).join('');
+    // Products without a rating metafield get no stars at all
+    let ratingHtml = '';
+    if (typeof product.rating === 'number') {
+      const stars = Array.from({length: 5}, (_, i) => {
+        const filled = i < Math.floor(product.rating);
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" ${filled ? 'fill="currentColor"' : 'fill="none"'} stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+        </svg>`;
+      }).join('');
+
+      const reviewCount = typeof product.ratingCount === 'number'
+        ? `<span class="search-product-rating-count">(${tPlural('reviewCount', product.ratingCount)})</span>`
+        : '';
+
+      ratingHtml = `
+        <div class="search-product-rating">
+          <div class="search-product-stars">${stars}</div>
+          <span class="search-product-rating-text">${product.rating}</span>
+          ${reviewCount}
+        </div>`;
+    }
 
     card.innerHTML = `
       <div class="search-product-image">
@@ -451,12 +1074,11 @@
       </div>
       <div class="search-product-info">
         <h3 class="search-product-title">${product.name}</h3>
-        <p class="search-product-description">${product.description}</p>
-        <div class="search-product-rating">
-          <div class="search-product-stars">${stars}</div>
-          <span class="search-product-rating-text">${product.rating}</span>
+        <p class="search-product-description">${product.description}</p>${ratingHtml}
+        <div class="search-product-price">
+          ${product.price}
+          ${product.compareAtPrice ? `<s class="search-product-compare-price">${product.compareAtPrice}</s>` : ''}
         </div>
-        <div class="search-product-price">${product.price}</div>
       </div>
     `;
 
@@ -541,8 +1163,11 @@
     if (input) {
       input.addEventListener('input', (e) => {
         query = e.target.value;
+        scheduleSuggestions();
       });
+      input.addEventListener('keydown', handleSuggestionKeyDown);
       input.addEventListener('keypress', handleKeyPress);
+      input.addEventListener('blur', hideSuggestions);
       
       // Mobile keyboard detection
       if (isMobile) {
@@ -610,6 +1235,7 @@
     
     // Determine the API endpoint now that config is fully loaded
     config.apiEndpoint = getApiEndpoint();
+    config.suggestEndpoint = getSuggestEndpoint();
     console.log('Final API endpoint:', config.apiEndpoint);
     
     // Find DOM elements
@@ -617,11 +1243,13 @@
     bubble = document.querySelector('.search-widget-bubble');
     interface_ = document.querySelector('.search-widget-interface');
     input = document.querySelector('.search-widget-input');
+    suggestionsList = document.querySelector('.search-widget-suggestions');
     button = document.querySelector('.search-widget-button');
     loading = document.querySelector('.search-widget-loading');
     loadingIcon = document.querySelector('.search-loading-icon');
     resultsPanel = document.querySelector('.search-results-panel');
     resultsContent = document.querySelector('.search-results-content');
+    resultsFilters = document.querySelector('.search-results-filters');
     resultsClose = document.querySelector('.search-results-close');
 
     // CRITICAL FIX: Move results panel outside of Shopify app block container
@@ -640,11 +1268,13 @@
       bubble: !!bubble,
       interface_: !!interface_,
       input: !!input,
+      suggestionsList: !!suggestionsList,
       button: !!button,
       loading: !!loading,
       loadingIcon: !!loadingIcon,
       resultsPanel: !!resultsPanel,
       resultsContent: !!resultsContent,
+      resultsFilters: !!resultsFilters,
       resultsClose: !!resultsClose
     });
 
@@ -657,7 +1287,6 @@
     if (!config.apiEndpoint) {
       console.warn('⚠️ No API endpoint configured. Search will fall back to mock data.');
       console.warn('Current shop domain:', config.shopDomain);
-      console.warn('Available mappings:', Object.keys(APP_URL_MAPPING));
     } else {
       console.log('✅ API endpoint configured:', config.apiEndpoint);
     }
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "SearchCacheEntry" (
+  "key" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "value" TEXT NOT NULL,
+  "expiresAt" DATETIME NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "SearchCacheEntry_shop_idx" ON "SearchCacheEntry"("shop");
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "SearchQueryStat" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "query" TEXT NOT NULL,
+  "count" INTEGER NOT NULL DEFAULT 1,
+  "lastSearchedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SearchQueryStat_shop_query_key" ON "SearchQueryStat"("shop", "query");
+
+-- CreateIndex
+CREATE INDEX "SearchQueryStat_shop_count_idx" ON "SearchQueryStat"("shop", "count");
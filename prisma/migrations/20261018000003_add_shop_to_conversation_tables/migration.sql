@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "CodeVerifier" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "CustomerAccountUrl" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "CustomerToken" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- DropIndex
+DROP INDEX "CustomerToken_conversationId_idx";
+
+-- DropIndex
+DROP INDEX "CustomerAccountUrl_conversationId_key";
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_idx" ON "Conversation"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerAccountUrl_shop_conversationId_key" ON "CustomerAccountUrl"("shop", "conversationId");
+
+-- CreateIndex
+CREATE INDEX "CustomerToken_shop_conversationId_idx" ON "CustomerToken"("shop", "conversationId");
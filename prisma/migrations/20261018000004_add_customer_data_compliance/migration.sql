@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "customerId" TEXT;
+
+-- AlterTable
+ALTER TABLE "CustomerToken" ADD COLUMN "customerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "DataRequestExport" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "customerId" TEXT NOT NULL,
+  "dataRequestId" TEXT,
+  "payload" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_customerId_idx" ON "Conversation"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "CustomerToken_shop_customerId_idx" ON "CustomerToken"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "DataRequestExport_shop_createdAt_idx" ON "DataRequestExport"("shop", "createdAt");
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "RetentionPolicy" (
+  "shop" TEXT NOT NULL PRIMARY KEY,
+  "conversationDays" INTEGER NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_updatedAt_idx" ON "Conversation"("shop", "updatedAt");
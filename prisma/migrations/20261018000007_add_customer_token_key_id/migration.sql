@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CustomerToken" ADD COLUMN "keyId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CustomerToken_keyId_idx" ON "CustomerToken"("keyId");
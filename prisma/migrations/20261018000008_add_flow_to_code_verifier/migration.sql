@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "CodeVerifier" ADD COLUMN "conversationId" TEXT NOT NULL DEFAULT '';
+ALTER TABLE "CodeVerifier" ADD COLUMN "shopId" TEXT;
+
+-- Pending authorization requests used the old `<conversationId>-<shopId>` state, they can't be completed anymore
+DELETE FROM "CodeVerifier";
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "CustomerIdentity" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "customerId" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerIdentity_shop_customerId_key" ON "CustomerIdentity"("shop", "customerId");
+
+-- AlterTable
+ALTER TABLE "CustomerToken" ADD COLUMN "identityId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CustomerToken_shop_identityId_idx" ON "CustomerToken"("shop", "identityId");
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "identityId" TEXT;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "McpServer" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "prefix" TEXT NOT NULL,
+  "url" TEXT NOT NULL,
+  "headers" TEXT,
+  "keyId" TEXT,
+  "enabled" BOOLEAN NOT NULL DEFAULT true,
+  "status" TEXT NOT NULL DEFAULT 'unknown',
+  "lastError" TEXT,
+  "lastCheckedAt" DATETIME,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "McpServer_shop_prefix_key" ON "McpServer"("shop", "prefix");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CustomerIdentity" ADD COLUMN "tokenVersion" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,65 @@
+/**
+ * Assigns conversations, customer tokens and customer account URLs stored before
+ * rows were scoped by shop (empty `shop` column) to a shop.
+ *
+ * Usage: npm run assign-legacy-shop -- [shop.myshopify.com]
+ * Without an argument the shop is taken from the sessions table, which only works
+ * when the app is installed on a single shop.
+ */
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * Resolves the shop legacy rows are assigned to
+ * @param {string} [shopArg] - Shop passed on the command line
+ * @returns {Promise<string>} The shop domain
+ * @throws {Error} If no shop was passed and the sessions don't name exactly one shop
+ */
+async function resolveShop(shopArg) {
+  if (shopArg) {
+    return shopArg.trim().toLowerCase();
+  }
+
+  const sessions = await prisma.session.findMany({
+    distinct: ['shop'],
+    select: { shop: true }
+  });
+
+  if (sessions.length !== 1) {
+    throw new Error(`Found ${sessions.length} installed shops, pass the shop to assign legacy rows to`);
+  }
+
+  return sessions[0].shop;
+}
+
+/**
+ * Assigns every row without a shop to the resolved shop
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const shop = await resolveShop(process.argv[2]);
+  const where = { shop: '' };
+  const data = { shop };
+
+  const [conversations, customerTokens, customerAccountUrls, codeVerifiers] = await prisma.$transaction([
+    prisma.conversation.updateMany({ where, data }),
+    prisma.customerToken.updateMany({ where, data }),
+    prisma.customerAccountUrl.updateMany({ where, data }),
+    prisma.codeVerifier.updateMany({ where, data })
+  ]);
+
+  console.log(`Assigned legacy rows to ${shop}:`, {
+    conversations: conversations.count,
+    customerTokens: customerTokens.count,
+    customerAccountUrls: customerAccountUrls.count,
+    codeVerifiers: codeVerifiers.count
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error('Error assigning legacy rows to a shop:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,116 @@
+/**
+ * Encrypts customer tokens stored in plaintext, and re-encrypts customer tokens and MCP server
+ * headers encrypted with an older key, with the active TOKEN_ENCRYPTION_KEYS key.
+ *
+ * Usage: npm run encrypt-tokens
+ * Run it once after setting TOKEN_ENCRYPTION_KEYS, and after every key rotation before
+ * removing the old key.
+ */
+import prisma from "../app/db.server.js";
+import { tokenEncryption } from "../app/services/encryption.server.js";
+
+const BATCH_SIZE = 100;
+
+/**
+ * Encrypts a token with the active key
+ * @param {Object} token - The customer token row
+ * @returns {Object} The encrypted `accessToken`, `refreshToken` and `keyId`
+ */
+function reencryptToken(token) {
+  const decrypt = value => (token.keyId ? tokenEncryption.decrypt(value, token.keyId) : value);
+  const accessToken = tokenEncryption.encrypt(decrypt(token.accessToken));
+
+  return {
+    accessToken: accessToken.value,
+    refreshToken: token.refreshToken ? tokenEncryption.encrypt(decrypt(token.refreshToken)).value : null,
+    keyId: accessToken.keyId
+  };
+}
+
+/**
+ * Encrypts the headers of an MCP server with the active key
+ * @param {Object} server - The MCP server row
+ * @returns {Object} The encrypted `headers` and `keyId`
+ */
+function reencryptMcpServer(server) {
+  const headers = tokenEncryption.encrypt(tokenEncryption.decrypt(server.headers, server.keyId));
+
+  return {
+    headers: headers.value,
+    keyId: headers.keyId
+  };
+}
+
+/**
+ * Re-encrypts every row of a table that isn't encrypted with the active key
+ * @param {Object} delegate - The Prisma model delegate, e.g. prisma.customerToken
+ * @param {Object} where - Filter of the rows holding encrypted values
+ * @param {Function} reencrypt - Returns the re-encrypted columns of a row
+ * @param {string} label - What the rows are, for log messages
+ * @returns {Promise<Object>} Number of `encrypted` and `failed` rows
+ */
+async function reencryptRows(delegate, where, reencrypt, label) {
+  const activeKeyId = tokenEncryption.getActiveKeyId();
+  let encrypted = 0;
+  let failed = 0;
+  let cursor = null;
+
+  for (;;) {
+    const rows = await delegate.findMany({
+      where: {
+        ...where,
+        OR: [{ keyId: null }, { keyId: { not: activeKeyId } }]
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+
+    if (rows.length === 0) break;
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      try {
+        await delegate.update({
+          where: { id: row.id },
+          data: reencrypt(row)
+        });
+        encrypted += 1;
+      } catch (error) {
+        // Usually a row encrypted with a key that was already removed from TOKEN_ENCRYPTION_KEYS
+        console.error(`Error encrypting ${label} ${row.id}:`, error.message);
+        failed += 1;
+      }
+    }
+  }
+
+  return { encrypted, failed };
+}
+
+/**
+ * Re-encrypts every customer token and MCP server that isn't encrypted with the active key
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const activeKeyId = tokenEncryption.getActiveKeyId();
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+
+  const customerTokens = await reencryptRows(prisma.customerToken, {}, reencryptToken, 'customer token');
+  // Servers without headers have nothing to encrypt
+  const mcpServers = await reencryptRows(prisma.mcpServer, { headers: { not: null } }, reencryptMcpServer, 'MCP server');
+
+  console.log(`Encrypted with key ${activeKeyId}:`, { customerTokens, mcpServers });
+
+  if (customerTokens.failed > 0 || mcpServers.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Error encrypting customer tokens:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
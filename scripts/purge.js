@@ -0,0 +1,26 @@
+/**
+ * Runs one data retention purge: conversations older than each shop's retention
+ * period, and expired customer tokens and code verifiers.
+ *
+ * Usage: npm run purge
+ * Schedule it with cron and set RETENTION_SCHEDULER=false to purge outside the app process.
+ */
+import prisma from "../app/db.server.js";
+import { createRetentionService } from "../app/services/retention.server.js";
+
+/**
+ * Runs the purge and prints the removed row counts
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const run = await createRetentionService().purge();
+
+  console.log(JSON.stringify(run, null, 2));
+}
+
+main()
+  .catch((error) => {
+    console.error('Error running retention purge:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());